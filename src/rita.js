@@ -165,9 +165,21 @@
 			return arr.join(delim);  
 		},
 
+		/*
+		 * Seeds the random number generator used by all RiTa objects (RiTa.random,
+		 * RiGrammar, RiMarkov, RiLexicon, etc.) so that output is reproducible
+		 * @param {number} seed an integer
+		 */
+		randomSeed : function(seed) {
+
+			ok(seed, N);
+			randGen.seed(seed);
+			return this;
+		},
+
 		random : function() {
 			
-			var currentRandom = Math.random();
+			var currentRandom = randGen.random();
 			if (arguments.length === 0) return currentRandom;
 			if (arguments.length === 1) return currentRandom * arguments[0];
 			var aMin = arguments[0], aMax = arguments[1];
@@ -177,7 +189,7 @@
 		
 		 randomItem : function(arr) {
 			
-			return arr[Math.floor(Math.random()*arr.length)];
+			return arr[Math.floor(RiTa.random()*arr.length)];
 		 }, 
 	
 		distance : function(x1,y1,x2,y2) {
@@ -498,7 +510,7 @@
 		},
 		
 		// TODO: add tests
-		_loadStringNode : function(url, callback, linebreakChars) {
+		_loadStringNode : function(url, callback, linebreakChars, onError) {
 			
 			var data='', lb = linebreakChars || SP, isUrl = /.+?:\/\/.+/.test(url), me = this;
 			
@@ -536,6 +548,8 @@
 				var rq = require('fs');
 				rq.readFile(url, function(e, data) {
 					if (e || !data) {
+						if (is(onError, F))
+							return onError(e || Error("[RiTa] Empty file: "+url));
 						err("[Node] Error reading file: "+url+"\n"+e);
 						throw e;
 					}	
@@ -546,7 +560,7 @@
 		},
 		
 		// hack to load a text file from the DOM via an invisible iframe
-	   _loadStringDOM : function(url, callback, linebreakChars) {
+	   _loadStringDOM : function(url, callback, linebreakChars, onError) {
 			
 			var lb = linebreakChars || SP, cwin, iframe, me = this;
 			
@@ -586,7 +600,7 @@
 				if (!data) {
 					
 					console.error('[RiTa] loadString('+url+') unable to load text from: '+url);
-					return E;
+					return is(onError, F) ? onError(Error("[RiTa] Unable to load: "+url)) : E;
 				}
 				
 				data = htmlDecode(data.replace(/[\r\n]+/g, lb).trim());
@@ -609,12 +623,13 @@
 		},
 						
 		// TODO: add NodeJS tests for all loadXX methods
-		loadString : function(url, callback, linebreakChars) {
+		// (if 'onError' is given, it is called with the error when a file can't be read)
+		loadString : function(url, callback, linebreakChars, onError) {
 
             ok(url, S);
             var lb = linebreakChars || SP, cwin, iframe,
                 fun = isNode() ? this._loadStringNode : this._loadStringDOM;
-            fun.call(this, url, callback, linebreakChars); // single-url
+            fun.call(this, url, callback, linebreakChars, onError); // single-url
 		},
 		
 		fireDataLoaded : function(url, callback, data) {
@@ -761,7 +776,7 @@
 				for (var z = 0; z < num; z++) o.push(z);
 				
 				// Array shuffle, from Jonas Raoni Soares Silva (http://jsfromhell.com/array/shuffle)
-				for (var j, x, i = o.length; i; j = parseInt(Math.random() * i), x = o[--i], o[i] = o[j], o[j] = x) {}
+				for (var j, x, i = o.length; i; j = parseInt(RiTa.random() * i), x = o[--i], o[i] = o[j], o[j] = x) {}
 			}
 
 			return o;
@@ -957,11 +972,138 @@
 
 	 /* constant for max # of tries for a generation */
   	RiMarkov.MAX_GENERATION_ATTEMPTS = 1000;
+
+	/* max # of steps for a constrained generation */
+	RiMarkov.MAX_SEARCH_STEPS = 100000;
   
 	RiMarkov._SSRE =  /"?[A-Z][a-z"',;`-]*/;  
 	
 	RiMarkov._SSDLM =  'D=l1m_';     // TODO:  (OR use HTML-style tag) ??
 
+	/* the absolute discount for (Kneser-Ney) smoothing */
+	RiMarkov.KN_DISCOUNT = 0.75;
+
+	/* the source name for text loaded without one */
+	RiMarkov.DEFAULT_SOURCE = 'default';
+
+	RiMarkov._EPSILON = 1e-9; // for rounding errors in (re-weighted) counts
+
+	// the model settings saved by toJSON() (along with the tree and sentence-starts)
+	RiMarkov._FIELDS = [ 'isSentenceAware', 'allowDuplicates', 'smoothing', 'minSentenceLength',
+		'maxSentenceLength', 'maxDuplicatesToSkip', 'printIgnoredText', 'sentenceList', 'wordList',
+		'isCharacterLevel', '_wasSentenceAware', 'maxLengthMatch', 'temperature', 'topK', 'topP' ];
+
+	// Returns a new buffer for loading text in chunks: the text (and tokens) not yet loaded
+	RiMarkov._buffer = function() {
+
+		return { text: E, carry: [], chars: 0 };
+	};
+
+	/*
+	 * Creates a RiMarkov from the output of toJSON() or toCompactJSON() (as an object or
+	 * a JSON string), without reloading any text
+	 * @param {string|object} json the serialized model
+	 * @returns {object} a new RiMarkov
+	 */
+	RiMarkov.fromJSON = function(json) {
+
+		var i, rm, tok, data = is(json, S) ? JSON.parse(json) : json, pos = 0;
+
+		if (!is(data, O) || !is(data.n, N))
+			err('Invalid RiMarkov JSON: ' + json);
+
+		rm = new RiMarkov(data.n, true, true, data.isCompact);
+
+		for (i = 0; i < RiMarkov._FIELDS.length; i++) {
+
+			if (data.hasOwnProperty(RiMarkov._FIELDS[i])) {
+
+				tok = data[RiMarkov._FIELDS[i]];
+				rm[RiMarkov._FIELDS[i]] = is(tok, A) ? tok.slice() : tok;
+			}
+		}
+
+		// the verbose form: { count, start, sources, children: { token: node } }
+		var fromObject = function(obj, node) {
+
+			node.addCount(obj.count);
+			obj.start && (node.isSentenceStart = true);
+			for (var name in obj.sources)
+				(node.sources || (node.sources = {}))[name] = obj.sources[name];
+
+			for (var tok in obj.children) {
+
+				fromObject(obj.children[tok], node.child(obj.children[tok].hasOwnProperty('token') ?
+					obj.children[tok].token : tok, true));
+			}
+		};
+
+		// the compact form: a flat (pre-order) array of [token-index, count, # of children]
+		// per node (a negative count marks a sentence-start), with [count, # of children] for the root
+		var nodes = [], fromArray = function(node) {
+
+			var i, size, count = data.tree[pos++];
+
+			nodes.push(node);
+
+			node.addCount(Math.abs(count));
+			count < 0 && (node.isSentenceStart = true);
+
+			size = data.tree[pos++];
+			for (i = 0; i < size; i++)
+				fromArray(node.child(data.tokens[data.tree[pos++]], true));
+		};
+
+		var tokenOf = function(id) { return data.tokens[id]; };
+
+		if (data.tokens) {
+
+			fromArray(rm.root);
+			rm.sentenceStarts = data.sentenceStarts.map(tokenOf);
+		}
+		else {
+
+			fromObject(data.root, rm.root);
+			rm.sentenceStarts = data.sentenceStarts.slice();
+		}
+
+		var name, src, saved, starts = rm.sentenceStarts;
+
+		if (!data.sources) { // no provenance, so all from the default source
+
+			src = rm._sourceFor(RiMarkov.DEFAULT_SOURCE);
+			for (i = 0; i < starts.length; i++)
+				rm._addStart(src, starts[i], 1, 1);
+		}
+
+		for (name in data.sources) {
+
+			src = rm._sourceFor(name);
+			saved = data.sources[name];
+			src.weight = saved.weight;
+
+			for (tok in saved.sentenceList) // the listed sentences (or words), by #
+				(src.sentenceList || (src.sentenceList = {}))[tok] = saved.sentenceList[tok];
+			for (tok in saved.wordList)
+				(src.wordList || (src.wordList = {}))[tok] = saved.wordList[tok];
+
+			if (data.tokens) { // starts: [token-index, #, weight ...], nodes: [pre-order index, count ...]
+
+				for (i = 0; i < saved.starts.length; i += 3)
+					rm._addStart(src, tokenOf(saved.starts[i]), saved.starts[i + 1], saved.starts[i + 2]);
+				for (i = 0; saved.nodes && i < saved.nodes.length; i += 2)
+					(nodes[saved.nodes[i]].sources || (nodes[saved.nodes[i]].sources = {}))[name] = saved.nodes[i + 1];
+			}
+			else {
+
+				for (tok in saved.starts)
+					rm._addStart(src, tok, saved.starts[tok][0], saved.starts[tok][1]);
+			}
+		}
+
+		return rm;
+	};
+
 	RiMarkov.prototype = {
 
 		/*
@@ -973,8 +1115,10 @@
 		 * @param {number} nFactor for the model (an int)
 		 * @param {boolean} recognizeSentences whether the model will attempt to recognize (English) sentences (optional, default=true)
 		 * @param {boolean} allowDuplicates whether the model allow duplicates in its output (optional, default=true)		 
+		 * @param {boolean} compact whether to store the model in (much less memory, but somewhat slower)
+		 * typed arrays, rather than a tree of objects (optional, default=false)
 		 */
-		init : function(nFactor, recognizeSentences, allowDuplicates) {
+		init : function(nFactor, recognizeSentences, allowDuplicates, compact) {
 
 			var a = this._initArgs.apply(this, arguments);
 			
@@ -987,11 +1131,24 @@
 			this.minSentenceLength = 6;
 			this.maxSentenceLength = 35;
 			this.maxDuplicatesToSkip = 10000;
-			this.root = new TextNode(null, 'ROOT');
+			this.isCompact = (a.length > 3 && a[3]) ? true : false;
+			this.root = this.isCompact ? new CompactTrie().root() : new TextNode(null, 'ROOT');
 			this.isSentenceAware = (a.length > 1 && !a[1]) ? false : true;
 			this.allowDuplicates = (a.length > 2 && !a[2]) ? false : true;
 			this.printIgnoredText = false;
 			this.smoothing = false;
+			this.isCharacterLevel = false;
+			this.wordList = []; // the training words of a character-level model (if no duplicates)
+			this._wasSentenceAware = this.isSentenceAware; // restored by useCharacters(false)
+			this.maxLengthMatch = 0; // if > 0, reject sentences sharing a longer run of tokens with the input
+			                         // (set it before loading, as the input is only kept when it is)
+			this.temperature = 1; // < 1 favors likely tokens, > 1 flattens, 0 always picks the likeliest
+			this.topK = 0;        // if > 0, sample only from the k likeliest tokens
+			this.topP = 1;        // if < 1, sample only from the likeliest tokens totalling this probability
+			this._conts = null;
+			this._grams = null;
+			this._sources = {}; // by name: { weight, input: [tokens, if maxLengthMatch], starts: { token: [#, weight] },
+			                    //   sentenceList: { sentence: # }, wordList: { word: # } (if no duplicates) }
 		},
 		
 		_initArgs : function() {
@@ -1015,6 +1172,12 @@
 			
 			if (!this.root) err("Model not initd: null root!");
 			
+			if (this.smoothing) {
+
+				data = is(data, S) ? [data] : data;
+				return this._smoothedProbabilities(this._context(data.slice(0, -1)))[data[data.length - 1]] || 0;
+			}
+
 			var tn = is(data,S) ? this.root.lookup(data) : this._findNode(data);
 
 			return (tn) ? tn.probability() : 0;
@@ -1025,6 +1188,8 @@
 
 			if (is(path,S)) path = [path];
 
+			if (this.smoothing) return this._smoothedProbabilities(this._context(path));
+
 			if (path.length > this._n) {
 				
 				path = path.slice(Math.max(0, path.length-(this._n-1)), path.length);
@@ -1045,6 +1210,56 @@
 			return probs;
 		},
 		
+		/*
+		 * Scores text under the model, with the probability of each token given those before it,
+		 * from the interpolated Kneser-Ney distribution (as with useSmoothing(true), whether or
+		 * not it is on), so n-grams not in the model back off to shorter contexts. A token with
+		 * no probability, e.g. one not in the model, is counted as unknown and (as is usual for
+		 * perplexity) left out of the logProbability and perplexity.
+		 * @param {string|array} text the text, or its tokens
+		 * @returns {object} { tokens, probabilities (one per token, null if unknown), unknown (the
+		 * # of unknown tokens), logProbability (the sum of the natural logs of the others'
+		 * probabilities), perplexity (over the others, or Infinity if there are none) }
+		 */
+		score : function(text) {
+
+			var i, p, tokens, probs = [], logProb = 0, unknown = 0;
+
+			tokens = !is(text, S) ? text : (this.isCharacterLevel ?
+				this._characters(RiTa.tokenize(text)) : RiTa.tokenize(text));
+
+			if (!tokens.length) err('RiMarkov.score() requires at least one token');
+
+			for (i = 0; i < tokens.length; i++) {
+
+				p = this._smoothedProbabilities(this._context(tokens.slice(0, i)));
+
+				if (!p.hasOwnProperty(tokens[i]) || !(p = p[tokens[i]])) {
+
+					probs.push(null);
+					unknown++;
+					continue;
+				}
+
+				probs.push(p);
+				logProb += Math.log(p);
+			}
+
+			return { tokens: tokens, probabilities: probs, unknown: unknown, logProbability: logProb,
+				perplexity: unknown < tokens.length ? Math.exp(-logProb / (tokens.length - unknown)) : Infinity };
+		},
+
+		/*
+		 * Returns the perplexity of text under the model (lower for text more like that loaded),
+		 * leaving out any unknown tokens
+		 * @param {string|array} text the text, or its tokens
+		 * @returns {number} the perplexity, see score()
+		 */
+		getPerplexity : function(text) {
+
+			return this.score(text).perplexity;
+		},
+
 		getCompletions : function(pre, post) {
 
 			var tn, result=[], node, atest, nexts;
@@ -1122,13 +1337,41 @@
 
 		},
 
-		generateTokens: function(targetNumber) {
+		/*
+		 * Generates a sequence of tokens from the model
+		 * @param {number} targetNumber the # of tokens to generate
+		 * @param {object} constraints (optional) with any of: 'seed' (a phrase or array of tokens
+		 * to start with, included in the result), 'endsWith' (a word or array of tokens that the
+		 * sequence must end with), and 'contains' (a word or array of words that must occur)
+		 * @returns {array} the tokens
+		 */
+		generateTokens: function(targetNumber, constraints) {
 
 			var tries = 0, maxTries = 500, tokens = [];
 
+			if (constraints) {
+
+				var cons = this._constraints(constraints), result = this._search(cons.seed, targetNumber,
+					function(toks) { return toks.length === targetNumber && cons.satisfied(toks); },
+					function(toks) { return cons.viable(toks, targetNumber, true); });
+
+				if (!result)
+					err('RiMarkov failed to generate ' + targetNumber + ' tokens with ' + JSON.stringify(constraints));
+
+				return result;
+			}
+
+			if (this.smoothing) { // backs off to shorter contexts, so never hits a dead end
+
+				while (tokens.length < targetNumber)
+					tokens.push(this._selectWeighted(this._shape(this._smoothedProbabilities(this._context(tokens)))));
+
+				return tokens;
+			}
+
 			OUT: while(++tries < maxTries) {
 
-				var mn = this.root.selectChild(null, true);
+				var mn = this._selectChild(this.root);
 				if (!mn || !mn.token) continue OUT;
 				tokens.push(mn);
 
@@ -1160,6 +1403,13 @@
 			return res;
 		},
 
+		/*
+		 * Whether probabilities are estimated with (interpolated Kneser-Ney) smoothing, combining
+		 * the counts for contexts of each length from n-1 down to 0, so that unseen sequences get
+		 * non-zero probabilities and generateTokens() backs off instead of failing
+		 * @param {boolean} value (optional) the new setting
+		 * @returns {boolean|object} the current setting (with no argument), or this RiMarkov
+		 */
 		useSmoothing : function(value) {
 			
 			if (arguments.length) {
@@ -1193,6 +1443,131 @@
 			
 			return this.size() > 0;
 		},
+
+		/*
+		 * Returns the model (its tree, counts, sentence-starts, sources, n and settings) as a
+		 * plain object that can be passed to RiMarkov.fromJSON(), so JSON.stringify(model)
+		 * gives the model as JSON
+		 * @returns {object} the serializable model
+		 */
+		toJSON : function() {
+
+			return this._serialize(false);
+		},
+
+		/*
+		 * Returns the model as for toJSON(), but in the (much smaller) array form, with each
+		 * token stored once and the tree stored as an array of numbers
+		 * @returns {object} the serializable model
+		 */
+		toCompactJSON : function() {
+
+			return this._serialize(true);
+		},
+
+		_serialize : function(compact) {
+
+			var i, tok, name, src, data = { n: this._n, isCompact: this.isCompact, sources: {} },
+				tokens = [], ids = {}, tree = [], nodes = {};
+
+			var copy = function(obj) { // copying any arrays in it
+
+				var key, result = {};
+				for (key in obj)
+					result[key] = is(obj[key], A) ? obj[key].slice() : obj[key];
+				return result;
+			};
+
+			var copySource = function(src, starts) {
+
+				var result = { weight: src.weight, starts: starts };
+				src.sentenceList && (result.sentenceList = copy(src.sentenceList));
+				src.wordList && (result.wordList = copy(src.wordList));
+				return result;
+			};
+
+			for (i = 0; i < RiMarkov._FIELDS.length; i++) { // copying the sentenceList
+
+				tok = this[RiMarkov._FIELDS[i]];
+				data[RiMarkov._FIELDS[i]] = is(tok, A) ? tok.slice() : tok;
+			}
+
+			var toObject = function(node) {
+
+				var i, name, obj = { count: node.count }, kids = node.childNodes();
+
+				node.isSentenceStart && (obj.start = true);
+				node.token === null && (obj.token = null); // end-of-input
+				if (node.sources) {
+
+					obj.sources = {};
+					for (name in node.sources)
+						obj.sources[name] = node.sources[name];
+				}
+
+				if (kids.length) {
+
+					obj.children = {};
+					for (i = 0; i < kids.length; i++)
+						obj.children[kids[i].token] = toObject(kids[i]);
+				}
+
+				return obj;
+			};
+
+			var idOf = function(tok) {
+
+				var key = (tok === null) ? '' : '=' + tok; // null marks end-of-input
+
+				if (!ids.hasOwnProperty(key)) {
+					ids[key] = tokens.length;
+					tokens.push(tok);
+				}
+				return ids[key];
+			};
+
+			var index = 0, toArray = function(node) {
+
+				var i, src, kids = node.childNodes();
+
+				for (src in node.sources) // the counts for each named source, by pre-order index
+					(nodes[src] || (nodes[src] = [])).push(index, node.sources[src]);
+				index++;
+
+				node.isRoot() || tree.push(idOf(node.token));
+				tree.push(node.isSentenceStart ? -node.count : node.count, kids.length);
+
+				for (i = 0; i < kids.length; i++)
+					toArray(kids[i]);
+			};
+
+			if (compact) {
+
+				toArray(this.root);
+				data.tokens = tokens;
+				data.tree = tree;
+				data.sentenceStarts = this.sentenceStarts.map(idOf);
+
+				for (name in this._sources) {
+
+					src = this._sources[name];
+					data.sources[name] = copySource(src, []);
+					for (tok in src.starts)
+						data.sources[name].starts.push(idOf(tok), src.starts[tok][0], src.starts[tok][1]);
+					nodes[name] && (data.sources[name].nodes = nodes[name]);
+				}
+			}
+			else {
+
+				data.root = toObject(this.root);
+				data.sentenceStarts = this.sentenceStarts.slice();
+
+				for (name in this._sources)
+					data.sources[name] = copySource(this._sources[name], copy(this._sources[name].starts));
+			}
+
+			return data;
+		},
 			
 		loadFrom : function(url, multiplier, regex, callback) {
 			
@@ -1204,143 +1579,666 @@
 			
 			RiTa.loadString(url, function(data) {
 	
-				me.loadText(data, multiplier, regex);
+				me.loadText(data, multiplier, regex, is(url, S) ? url : undefined);
 				callback && is(callback, F) && (callback(data));
 			});
 		},
 
-		loadText : function(text, multiplier, regex) {
+		/*
+		 * Loads text into the model, split into sentences (if sentence-aware) or tokens
+		 * @param {string} text
+		 * @param {number} multiplier (optional, default=1) the weight (> 0, e.g. 0.3 or 2.5) for each n-gram
+		 * @param {regex} regex (optional) for tokenizing, see RiTa.tokenize()
+		 * @param {string} source (optional, default=RiMarkov.DEFAULT_SOURCE) a name for the text,
+		 * for use with getSources(), reweight() and unload()
+		 * @returns {object} this RiMarkov
+		 */
+		loadText : function(text, multiplier, regex, source) {
 			
 			//log("loadText: "+text.length + " "+this.isSentenceAware);
 			
 			ok(text,S);
 			
-			multiplier = multiplier || 1;
+			return this._loadText(text, multiplier, regex, source);
+		},
+
+		_loadText : function(text, multiplier, regex, source, stream) {
+
+			// a chunk may be only whitespace (but there may be tokens carried from the last)
+			var blank = stream && !/\S/.test(text);
+
+			if (this.isCharacterLevel)
+				return this._loadWords(blank ? [] : RiTa.tokenize(text, regex), multiplier, source, stream);
 
-			if (multiplier < 1 || multiplier != Math.floor(multiplier)) // TODO: really?
-		    	err('Multiplier must be an positive integer, found: '+multiplier); 
-			
 			var result = !this.isSentenceAware ? 
-				this.loadTokens(RiTa.tokenize(text, regex), multiplier) :
-				this._loadSentences(RiTa.splitSentences(text), multiplier);
+				this._loadTokens(blank ? [] : RiTa.tokenize(text, regex), multiplier, source, stream) :
+				this._loadSentences(blank ? [] : RiTa.splitSentences(text), multiplier, source, stream);
 				
 			return result;
 		},
 
-		loadTokens: function(tokens, multiplier) {
+		/*
+		 * Loads the next part of a text too large to load at once, keeping any incomplete sentence
+		 * (or word) at its end, and the last n-1 tokens, to join with the next chunk; call
+		 * endChunks() after the last one
+		 * @param {string} chunk the next part of the text
+		 * @param {number} multiplier (optional) as for loadText()
+		 * @param {regex} regex (optional) as for loadText()
+		 * @param {string} source (optional) as for loadText()
+		 * @returns {object} this RiMarkov
+		 */
+		loadChunk : function(chunk, multiplier, regex, source) {
 
-			//log("loadTokens: smooth="+this.smoothing);
-			
-			multiplier = multiplier || 1;
+			ok(chunk, S);
 
-			if (multiplier < 1 || multiplier != Math.floor(multiplier))
-		    	err('multiplier must be an positive integer, found: '+multiplier); 
+			return this._loadChunk(this._stream || (this._stream = RiMarkov._buffer()),
+				chunk, multiplier, regex, source);
+		},
 
-			this.root.count += tokens.length; // here?
-			
-			for (var toAdd, k = 0; k < tokens.length; k++) {
-				toAdd = [];
+		// Loads a chunk via 'buffer', which holds the text (and tokens) left from earlier ones
+		_loadChunk : function(buffer, chunk, multiplier, regex, source) {
 
-				for (var j = 0; j < this._n; j++) {
-					if ((k + j) < tokens.length) toAdd[j] = (tokens[k + j]) ? tokens[k + j] : null;
-					else toAdd[j] = null;
-				}
+			var m, cut = 0, text, re = this.isSentenceAware ? /[.!?]\s/g : /\s/g;
 
-				// hack to deal with multiplier...
-				for (var l = 0; l < multiplier; l++) {
+			buffer.args = [multiplier, regex, source];
+			buffer.text += chunk.replace(/[\r\n]+/g, SP);
+			buffer.chars += chunk.length;
 
-					var node = this.root;
-					for (var i = 0; i < toAdd.length; i++) {
-						if (node.token) { 
-							node = node.addChild(toAdd[i], this.smoothing ? 2 : 1);
-						}
-					}
-				}
+			while ((m = re.exec(buffer.text))) cut = m.index + 1; // after the last sentence (or word)
+
+			if (cut) {
+
+				text = buffer.text.substring(0, cut);
+				buffer.text = buffer.text.substring(cut);
+				this._loadText(text, multiplier, regex, source, buffer);
 			}
 
 			return this;
 		},
-		
-		generateSentences: function(num) {
 
-		    if (!this.isSentenceAware) {
-		      err('generateSentences() can only be called when the model is ' +
-		        'in \'sentence-aware\' mode, otherwise use generateTokens()');
-		    }
-    		
-			var mn = this._getSentenceStart(), s = mn.token + SP, result = [], 
-				tries = 0, totalTries = 0, wordsInSentence = 1;
-			
-			while (result.length < num) {
-				
-				if (wordsInSentence >= this.maxSentenceLength) { 
-					
-					//System.out.println("MarkovModel.generateSentences().reject:: too long!");
-					
-					mn = this._getSentenceStart(); 
-					s = mn.token + SP;
-					wordsInSentence = 1;
-				}
+		/*
+		 * Loads the rest of the text passed to loadChunk()
+		 * @returns {object} this RiMarkov
+		 */
+		endChunks : function() {
 
-				if (mn.isLeaf()) {
-					mn = this._tracePathFromRoot(mn);
-					continue;
-				}
+			var buffer = this._stream;
 
-				mn = this._nextNodeForNode(mn);
-				
-				if (mn.isSentenceStart) {
-					
-					if (wordsInSentence >= this.minSentenceLength) {
-						
-						var candidate = RiTa.untokenize(s.trim().split(/\s+/));
-						
-						// deals with incorrect output: "word( next" -> "word (next" 
-						candidate = candidate.replace(/(.)\( /,"$1 ("); // added DCH: 5/2/14
+			if (!buffer) return this;
 
-						if (this._validateSentence(candidate)) {
-							
-							// got one, store and reset the counters
-							if (result.indexOf(candidate) < 0) 
-								result.push(candidate);
-								
-							//log(result.length+" RESULTS SO FAR");
-							totalTries += tries; 
-							tries = 0;
-						} 
-					}
-					mn = this._getSentenceStart(); 
-					s = mn.token + SP;
-					wordsInSentence = 1;
-					continue;
-				}
-				
-				// add the next word
-				wordsInSentence++;
-				s += mn.token + SP;
+			this._stream = null;
 
-				// check if its time to give up
-				if (++tries >= RiMarkov.MAX_GENERATION_ATTEMPTS) {
-					
-					this._onGenerationIncomplete(totalTries+=tries, result.length);
-					break; // give-up
-				}
-			}
+			return this._endChunks(buffer);
+		},
 
-			return result;
+		_endChunks : function(buffer) {
+
+			buffer.ended = true;
+
+			return this._loadText(buffer.text, buffer.args[0], buffer.args[1], buffer.args[2], buffer);
 		},
-		
-		_validateSentence : function(sent) {
-			
-		    var tokens = RiTa.tokenize(sent), first = tokens[0],
-				last = tokens[tokens.length-1];
- 
-		    if (!first.match(/[A-Z]\S*/)) {
-		      if (this.printIgnoredText)
-		      	log("Skipping: bad first char in '"+sent+"'");
-		      return false;
-		    }      
-		    
+
+		/*
+		 * Loads text from a (Node) readable stream, e.g. from fs.createReadStream(), chunk by chunk,
+		 * apart from any loadChunk() calls or other streams loading at the same time
+		 * @param {object} stream the stream
+		 * @param {number} multiplier (optional) as for loadText()
+		 * @param {regex} regex (optional) as for loadText()
+		 * @param {string} source (optional) as for loadText()
+		 * @param {function} callback (optional) called with this RiMarkov when the stream ends, or
+		 * with an Error as the second argument if it fails (the text read until then stays loaded,
+		 * but any incomplete sentence at its end is dropped)
+		 * @param {function} progress (optional) called after each chunk with the # of characters
+		 * read so far and the size() of the model
+		 */
+		loadStream : function(stream, multiplier, regex, source, callback, progress) {
+
+			var me = this, failed = false, buffer = RiMarkov._buffer();
+
+			ok(stream.on, F);
+
+			stream.setEncoding && stream.setEncoding('utf8'); // so characters aren't split between chunks
+
+			stream.on('data', function(chunk) {
+
+				me._loadChunk(buffer, String(chunk), multiplier, regex, source);
+				progress && progress(buffer.chars, me.size());
+			});
+			stream.on('error', function(e) {
+
+				if (failed) return;
+
+				failed = true;
+				is(callback, F) && callback(me, e);
+			});
+			stream.on('end', function() {
+
+				if (failed) return;
+
+				buffer.args && me._endChunks(buffer);
+				is(callback, F) && callback(me);
+			});
+		},
+
+		// Loads the characters of each (non-punctuation) word, with a space before and after it
+		_loadWords : function(words, multiplier, source, stream) {
+
+			// the training words, to skip when duplicates are not allowed
+			if (!this.allowDuplicates) {
+
+				this._addListed(this._sourceFor(source), 'wordList', words.filter(function(w) {
+					return !RiTa.isPunctuation(w);
+				}));
+			}
+
+			// after the first chunk, the space before the first word was already loaded
+			return this._loadTokens(this._characters(words, stream && stream.started), multiplier, source, stream);
+		},
+
+		// Returns the characters of each (non-punctuation) word, with a space before
+		// (unless 'noLeadingSpace') and after
+		_characters : function(words, noLeadingSpace) {
+
+			var i, j, chars = noLeadingSpace ? [] : [SP];
+
+			for (i = 0; i < words.length; i++) {
+
+				if (RiTa.isPunctuation(words[i])) continue;
+
+				for (j = 0; j < words[i].length; j++)
+					chars.push(words[i].charAt(j));
+
+				chars.push(SP);
+			}
+
+			return chars;
+		},
+
+		/*
+		 * Whether the model is character-level, with loadText() treating each character of
+		 * each word as a token, so generateWords() can create new words (e.g., names) in the
+		 * style of those loaded. Must be set before loading; turns off sentence-awareness
+		 * (until turned off again, when the earlier setting is restored).
+		 * @param {boolean} value (optional) the new setting
+		 * @returns {boolean|object} the current setting (with no argument), or this RiMarkov
+		 */
+		useCharacters : function(value) {
+
+			if (arguments.length) {
+
+				if (value && !this.isCharacterLevel) {
+
+					this._wasSentenceAware = this.isSentenceAware;
+					this.isSentenceAware = false;
+				}
+				else if (!value && this.isCharacterLevel) {
+
+					this.isSentenceAware = this._wasSentenceAware;
+				}
+
+				this.isCharacterLevel = value ? true : false;
+				return this;
+			}
+			return this.isCharacterLevel;
+		},
+
+		/*
+		 * Generates words from a character-level model (see useCharacters())
+		 * @param {number} num the # of (distinct) words
+		 * @param {number} minLength (optional, default=1) the min # of characters per word
+		 * @param {number} maxLength (optional) the max # of characters per word
+		 * @returns {array} the words (without those loaded, unless duplicates are allowed)
+		 */
+		generateWords : function(num, minLength, maxLength) {
+
+			if (!this.isCharacterLevel)
+				err('generateWords() requires a character-level model, see useCharacters()');
+
+			var word, result = [], tries = 0;
+
+			minLength = minLength || 1;
+			maxLength = maxLength || Number.MAX_VALUE;
+
+			while (result.length < num && ++tries < RiMarkov.MAX_GENERATION_ATTEMPTS) {
+
+				word = this._generateWord(maxLength);
+
+				if (word && word.length >= minLength && result.indexOf(word) < 0 &&
+					(this.allowDuplicates || this.wordList.indexOf(word) < 0))
+				{
+					result.push(word);
+				}
+			}
+
+			if (result.length < num)
+				this._onGenerationIncomplete(tries, result.length);
+
+			return result;
+		},
+
+		// Generates characters from a word start (a space) to the next space, or null if
+		// there is a dead-end or the word gets longer than 'maxLength'
+		_generateWord : function(maxLength) {
+
+			var tok, probs, toks = [SP];
+
+			while (toks.length <= maxLength + 1) {
+
+				probs = this._candidates(toks);
+
+				if (!okeys(probs).length) return null;
+
+				tok = this._selectWeighted(probs);
+
+				if (tok === SP) return toks.slice(1).join(E);
+
+				toks.push(tok);
+			}
+
+			return null;
+		},
+
+		loadTokens: function(tokens, multiplier, source) {
+
+			return this._loadTokens(tokens, multiplier, source);
+		},
+
+		// Loads 'tokens' after any carried over from the last chunk (see loadChunk()), carrying
+		// those that start incomplete n-grams to the next chunk, unless the stream has ended
+		_loadTokens: function(tokens, multiplier, source, stream) {
+
+			//log("loadTokens: smooth="+this.smoothing);
+			
+			var src = this._sourceFor(source), named = this._named(source),
+				weight = this._weight(multiplier) * src.weight, all = this._uncarry(tokens, stream),
+				end = this._carryFrom(all, stream);
+
+			this.root.addCount(end, named); // here?
+			this._addInput(src, tokens);
+			this._conts = this._grams = null;
+			
+			for (var toAdd, k = 0; k < end; k++) {
+				toAdd = [];
+
+				for (var j = 0; j < this._n; j++) {
+					if ((k + j) < all.length) toAdd[j] = (all[k + j]) ? all[k + j] : null;
+					else toAdd[j] = null;
+				}
+
+				var node = this.root;
+				for (var i = 0; i < toAdd.length; i++) {
+					if (node.token) { 
+						node = node.addChild(toAdd[i], weight, named);
+					}
+				}
+			}
+
+			return this;
+		},
+
+		/*
+		 * Adds the n-grams, sentence-starts and sources of another RiMarkov (with the same n) to this
+		 * one; a source in both keeps its weight (see reweight()) in this model
+		 * @param {object} other the RiMarkov to merge
+		 * @returns {object} this RiMarkov
+		 */
+		merge : function(other) {
+
+			var me = this, i, tok, name, src, from, names, scale = {};
+
+			var repeat = function(item, count) {
+				for (var i = 0, items = []; i < count; i++) items.push(item);
+				return items;
+			};
+
+			if (!other || !other.root || other._n !== this._n)
+				err('RiMarkov.merge() requires a RiMarkov with n=' + this._n + ', found: ' + other);
+
+			names = okeys(other._sources);
+			names.indexOf(RiMarkov.DEFAULT_SOURCE) < 0 && names.push(RiMarkov.DEFAULT_SOURCE);
+
+			for (name in other._sources) { // counts are scaled to this model's weight for each source
+
+				from = other._sources[name];
+				scale[name] = this._sources[name] ? this._sources[name].weight / from.weight : 1;
+			}
+
+			var add = function(into, node) {
+
+				var i, c, kids = node.childNodes();
+
+				for (i = 0; i < names.length; i++) {
+
+					c = other._countOf(node, names[i]);
+					c && into.addCount(node.isRoot() ? c : c * (scale[names[i]] || 1), me._named(names[i]));
+				}
+
+				node.isSentenceStart && (into.isSentenceStart = true);
+
+				for (i = 0; i < kids.length; i++)
+					add(into.child(kids[i].token, true), kids[i]);
+			};
+
+			add(this.root, other.root);
+
+			for (name in other._sources) {
+
+				from = other._sources[name];
+				this._sources[name] || (this._sourceFor(name).weight = from.weight);
+
+				src = this._sources[name];
+				this._addInput(src, from.input);
+				for (tok in from.starts)
+					this._addStart(src, tok, from.starts[tok][0], from.starts[tok][1]);
+
+				for (tok in from.sentenceList) // each listed item is added once per occurrence
+					this._addListed(src, 'sentenceList', repeat(tok, from.sentenceList[tok]));
+				for (tok in from.wordList)
+					this._addListed(src, 'wordList', repeat(tok, from.wordList[tok]));
+			}
+
+			for (i = 0; i < other.sentenceStarts.length; i++)
+				this.sentenceStarts.push(other.sentenceStarts[i]);
+
+			this._conts = this._grams = null;
+
+			return this;
+		},
+
+		/*
+		 * Multiplies the counts for the n-grams (and sentence-starts) from a source, e.g., by 2 to
+		 * make its text twice as likely (relative to the other sources) in generation
+		 * @param {string} source the source name, as passed to loadText()
+		 * @param {number} factor the multiplier (> 0)
+		 * @returns {object} this RiMarkov
+		 */
+		reweight : function(source, factor) {
+
+			var me = this, src = this._sources[source], named = this._named(source);
+
+			if (!src) err('RiMarkov: no source named \'' + source + '\'');
+
+			if (!is(factor, N) || factor <= 0 || !isFinite(factor))
+				err('RiMarkov.reweight() requires a factor > 0, found: ' + factor);
+
+			var walk = function(node) {
+
+				var i, c, kids = node.childNodes();
+
+				for (i = 0; i < kids.length; i++) {
+
+					c = me._countOf(kids[i], source);
+					if (!c) continue;
+
+					kids[i].addCount(c * (factor - 1), named);
+					walk(kids[i]);
+				}
+			};
+
+			walk(this.root);
+
+			src.weight *= factor;
+			this._conts = null;
+
+			return this;
+		},
+
+		/*
+		 * Removes the n-grams, sentence-starts, input and (listed) sentences from a source, as if it
+		 * had never been loaded
+		 * @param {string} source the source name, as passed to loadText()
+		 * @returns {object} this RiMarkov
+		 */
+		unload : function(source) {
+
+			var me = this, tok, i, src = this._sources[source], named = this._named(source);
+
+			if (!src) err('RiMarkov: no source named \'' + source + '\'');
+
+			var remove = function(node) {
+
+				node.addCount(-me._countOf(node, source), named);
+
+				if (named) {
+
+					delete node.sources[named];
+					okeys(node.sources).length || (node.sources = undefined);
+				}
+			};
+
+			var walk = function(node) {
+
+				var i, child, kids = node.childNodes();
+
+				for (i = 0; i < kids.length; i++) {
+
+					child = kids[i];
+					if (!me._countOf(child, source)) continue;
+
+					remove(child);
+					walk(child);
+
+					if (child.count <= RiMarkov._EPSILON) node.removeChild(child.token);
+				}
+			};
+
+			walk(this.root);
+			remove(this.root);
+
+			var removeFrom = function(list, item, count) { // the last 'count' occurrences
+
+				for (var i = 0, j; i < count && (j = list.lastIndexOf(item)) > -1; i++)
+					list.splice(j, 1);
+			};
+
+			for (tok in src.starts)
+				removeFrom(this.sentenceStarts, tok, src.starts[tok][0]);
+
+			for (tok in src.sentenceList)
+				removeFrom(this.sentenceList, tok, src.sentenceList[tok]);
+
+			for (tok in src.wordList)
+				removeFrom(this.wordList, tok, src.wordList[tok]);
+
+			delete this._sources[source];
+			this._conts = this._grams = null;
+
+			return this;
+		},
+
+		/*
+		 * Returns the proportion of the count for an n-gram from each source, e.g. to show which
+		 * text each part of a generated sentence came from
+		 * @param {array|string} tokens the n-gram (or a sequence ending with it)
+		 * @returns {object} { source: proportion }, or {} if the n-gram is not in the model
+		 */
+		getSources : function(tokens) {
+
+			var i, c, name, node = this.root, result = {};
+
+			tokens = is(tokens, S) ? [tokens] : tokens;
+			tokens = tokens.slice(Math.max(0, tokens.length - this._n));
+
+			for (i = 0; node && i < tokens.length; i++)
+				node = node.lookup(tokens[i]);
+
+			if (!node || node.isRoot()) return result;
+
+			for (name in this._sources) {
+
+				c = this._countOf(node, name);
+				if (c) result[name] = c / node.count;
+			}
+
+			return result;
+		},
+
+		/*
+		 * @returns {array} the names of the sources loaded in the model
+		 */
+		getSourceNames : function() {
+
+			return okeys(this._sources);
+		},
+
+		// Adds 'items' to the sentenceList or wordList (as 'list'), counting them in the source's
+		// { item: # } for the same list, so that unload() can remove them
+		_addListed : function(src, list, items) {
+
+			var i, counts = src[list] || (src[list] = {});
+
+			for (i = 0; i < items.length; i++) {
+
+				this[list].push(items[i]);
+				counts[items[i]] = (counts.hasOwnProperty(items[i]) ? counts[items[i]] : 0) + 1;
+			}
+		},
+
+		// Returns the record for a source (created if new), with its weight, input and sentence-starts
+		_sourceFor : function(source) {
+
+			source = source || RiMarkov.DEFAULT_SOURCE;
+			ok(source, S);
+
+			return this._sources[source] || (this._sources[source] = { weight: 1, input: [], starts: {} });
+		},
+
+		// Adds to the # of occurrences and the weight (the sum of their multipliers) for a sentence-start
+		_addStart : function(src, token, count, weight) {
+
+			var start = src.starts[token] || (src.starts[token] = [0, 0]);
+
+			start[0] += count;
+			start[1] += weight;
+		},
+
+		// Returns a (validated) multiplier for loading, which may be fractional
+		_weight : function(multiplier) {
+
+			multiplier = multiplier || 1;
+
+			if (!is(multiplier, N) || multiplier <= 0 || !isFinite(multiplier))
+				err('Multiplier must be a positive number, found: ' + multiplier);
+
+			return multiplier;
+		},
+
+		// Returns the name under which node counts are kept for a source (undefined for the default)
+		_named : function(source) {
+
+			return (source && source !== RiMarkov.DEFAULT_SOURCE) ? source : undefined;
+		},
+
+		// The count for 'node' from a source; for the default source, the count not from named sources
+		_countOf : function(node, source) {
+
+			var k, c = node.count;
+
+			if (this._named(source)) return (node.sources && node.sources[source]) || 0;
+
+			for (k in node.sources) c -= node.sources[k];
+
+			return c > RiMarkov._EPSILON ? c : 0;
+		},
+		
+		/*
+		 * Generates sentences from the model (which must be sentence-aware)
+		 * @param {number} num the # of sentences
+		 * @param {object} constraints (optional) as for generateTokens(), where 'seed' is the start
+		 * of each sentence and 'endsWith' may omit the sentence's final punctuation
+		 * @returns {array} the sentences
+		 */
+		generateSentences: function(num, constraints) {
+
+		    if (!this.isSentenceAware) {
+		      err('generateSentences() can only be called when the model is ' +
+		        'in \'sentence-aware\' mode, otherwise use generateTokens()');
+		    }
+
+			if (constraints) return this._generateSentencesWith(num, constraints);
+    		
+			var mn = this._getSentenceStart(), s = mn.token + SP, result = [], 
+				tries = 0, totalTries = 0, wordsInSentence = 1;
+			
+			while (result.length < num) {
+				
+				if (wordsInSentence >= this.maxSentenceLength) { 
+					
+					//System.out.println("MarkovModel.generateSentences().reject:: too long!");
+					
+					mn = this._getSentenceStart(); 
+					s = mn.token + SP;
+					wordsInSentence = 1;
+				}
+
+				if (mn.isLeaf()) {
+					mn = this._tracePathFromRoot(mn);
+					continue;
+				}
+
+				mn = this._nextNodeForNode(mn);
+				
+				if (mn.isSentenceStart) {
+					
+					if (wordsInSentence >= this.minSentenceLength) {
+						
+						var candidate = RiTa.untokenize(s.trim().split(/\s+/));
+						
+						// deals with incorrect output: "word( next" -> "word (next" 
+						candidate = candidate.replace(/(.)\( /,"$1 ("); // added DCH: 5/2/14
+
+						if (this._validateSentence(candidate)) {
+							
+							// got one, store and reset the counters
+							if (result.indexOf(candidate) < 0) 
+								result.push(candidate);
+								
+							//log(result.length+" RESULTS SO FAR");
+							totalTries += tries; 
+							tries = 0;
+						} 
+					}
+					mn = this._getSentenceStart(); 
+					s = mn.token + SP;
+					wordsInSentence = 1;
+					continue;
+				}
+				
+				// add the next word
+				wordsInSentence++;
+				s += mn.token + SP;
+
+				if (this.maxLengthMatch && this._copiesSource(s.trim().split(/\s+/))) {
+
+					if (this.printIgnoredText) log('Skipping (copies input): ' + s);
+
+					mn = this._getSentenceStart();
+					s = mn.token + SP;
+					wordsInSentence = 1;
+				}
+
+				// check if its time to give up
+				if (++tries >= RiMarkov.MAX_GENERATION_ATTEMPTS) {
+					
+					this._onGenerationIncomplete(totalTries+=tries, result.length);
+					break; // give-up
+				}
+			}
+
+			return result;
+		},
+		
+		_validateSentence : function(sent) {
+			
+		    var tokens = RiTa.tokenize(sent), first = tokens[0],
+				last = tokens[tokens.length-1];
+ 
+		    if (!first.match(/[A-Z]\S*/)) {
+		      if (this.printIgnoredText)
+		      	log("Skipping: bad first char in '"+sent+"'");
+		      return false;
+		    }      
+		    
 		    if (!last.match(/[!?.]/)) {
 		      if (this.printIgnoredText) 
 		      	log("Bad last token: '"+last+"' in: "+sent);   
@@ -1406,17 +2304,26 @@
 			}
 
 			// Now select the next node
-			return node ? node.selectChild(null, true) : null;
+			return node ? this._selectChild(node) : null;
 		},
 		
 		_nextNodeForNode : function(current) {         
 			
+			var me = this;
+
+			if (this._isShaped()) {
+
+				return this._selectChild(current, function(child) {
+					return !(current.isRoot() && me.isSentenceAware && !child.isSentenceStart);
+				});
+			}
+
 		    var attempts = 0, selector, pTotal=0, nodes = current.childNodes(), MAX_PROB_MISSES = 1000;
 		    
 		    while (true) {
 		    	
 		        pTotal = 0;
-		        selector = Math.random();   
+		        selector = RiTa.random();   
 		        //System.out.println("current="+current+", selector="+selector);
 		        for(var i=0,j=nodes.length; i<j; i++) {
 		        
@@ -1459,16 +2366,15 @@
   		},	
 
 		// Loads a sentence[] into the model; each element must be a single sentence
-		_loadSentences : function(sentences, multiplier) {
+		_loadSentences : function(sentences, multiplier, source, stream) {
 			
 			ok(sentences, A);
-			
-			multiplier = multiplier || 1;
-			multiplier = Math.min(multiplier, 1);
+
+			multiplier = this._weight(multiplier);
 			
 			// log("_loadSentences("+sentences.length+", multiplier="+multiplier+" "+this.allowDuplicates+")");
 			
-			var i, j, tokens, sentence, allWords = [];
+			var i, j, tokens, sentence, allWords = [], src = this._sourceFor(source);
 
 			// do the cleaning/splitting first ---------------------
 
@@ -1477,7 +2383,7 @@
 				sentence = this._clean(sentences[i]);
 				
 				// do we need this?
-				if (!this.allowDuplicates) this.sentenceList.push(sentence);
+				if (!this.allowDuplicates) this._addListed(src, 'sentenceList', [sentence]);
 				
 				tokens = RiTa.tokenize(sentence);
 
@@ -1491,90 +2397,492 @@
 				//log("Added sentence start] " + tokens);
 		
 				allWords.push(RiMarkov._SSDLM + tokens[0]); // bad hack for sentence-starts
+				this._addInput(src, tokens);
 				
 				for (j = 1; j < tokens.length; j++)
 					allWords.push(tokens[j]);
 			}
 
-			// ------------------------------------------------
+			// ------------------------------------------------
+
+			var toAdd, words = this._uncarry(allWords, stream), nFactor = this.getN(),
+				end = this._carryFrom(words, stream);
+
+			for (i = 0; i < end; i++) {
+				
+				toAdd = [];
+				for (j = 0; j < nFactor; j++) {
+					if ((i + j) < words.length)
+						toAdd[j] = words[i + j];
+				}
+
+				this._addSentenceSequence(toAdd, multiplier, source);
+			}
+
+			this.root.addCount(end, this._named(source));
+			this._conts = this._grams = null;
+
+			return this;
+		},
+		
+		// Returns 'words' after those carried over from the last chunk, if any
+		_uncarry : function(words, stream) {
+
+			return stream ? stream.carry.concat(words) : words;
+		},
+
+		// Returns the # of 'words' that start n-grams to load now, carrying the rest (the last n-1,
+		// unless the stream has ended) to the next chunk
+		_carryFrom : function(words, stream) {
+
+			var end = (stream && !stream.ended) ? Math.max(0, words.length - (this._n - 1)) : words.length;
+
+			if (stream) {
+
+				stream.carry = words.slice(end);
+				stream.started = true;
+			}
+
+			return end;
+		},
+
+		// Keeps the loaded tokens (only needed, and so only kept, for maxLengthMatch)
+		_addInput : function(src, tokens) {
+
+			for (var i = 0; this.maxLengthMatch && i < tokens.length; i++) src.input.push(tokens[i]);
+		},
+
+		size : function() {
+			
+			return this.root.count;
+		},		  
+		
+		_validSentenceStart : function(word) {      
+ 
+			return (!this.isSentenceAware || word && word.match(RiMarkov._SSRE)); 
+		},
+		
+		_addSentenceSequence : function(toAdd, multiplier, source) {
+			
+			//log("_addSentenceSequence: "+toAdd.length);
+			
+			var node = this.root, src = this._sourceFor(source), named = this._named(source),
+				weight = multiplier * src.weight;
+
+			//this.root.count += toAdd.length; // here?
+
+			for(var i = 0; i < toAdd.length; i++) {
+
+				if (!toAdd[i]) continue;
+
+				if (node.token) {
+
+					var add = toAdd[i];
+
+					if (startsWith(add, RiMarkov._SSDLM)) {
+
+						add = add.substring(RiMarkov._SSDLM.length); 
+						var parent = node;
+
+						node = node.addChild(add, weight, named);
+						node.isSentenceStart = true;
+
+						if (parent.isRoot()) {
+
+							this.sentenceStarts.push(node.token);
+							this._addStart(src, node.token, 1, multiplier);
+						}
+
+					} else 
+						node = node.addChild(add, weight, named);
+				}
+			}			
+		},
+		
+
+		_getSentenceStart : function() {
+			
+			if (!this.isSentenceAware) {
+      			err("getSentenceStart() can only " +
+        			"be called when the model is in 'sentence-aware' mode...");
+    		}
+			if (!this.sentenceStarts || !this.sentenceStarts.length)
+				err('No sentence starts found! genSen='+this.isSentenceAware);
+			
+			var tok, name, start, src, counts = {}, weighted = this._isShaped();
+
+			for (name in this._sources) {
+
+				src = this._sources[name];
+				for (tok in src.starts) {
+
+					start = src.starts[tok];
+					weighted = weighted || src.weight !== 1 || start[0] !== start[1];
+					counts[tok] = (counts[tok] || 0) + start[1] * src.weight;
+				}
+			}
+
+			return this.root.lookup(weighted ? this._selectWeighted(this._shape(counts)) :
+				RiTa.randomItem(this.sentenceStarts));
+		},
+
+		// True if the last maxLengthMatch+1 'tokens' occur (in sequence) in the loaded input
+		// (that loaded while maxLengthMatch was set)
+		_copiesSource : function(tokens) {
+
+			var i, key, input, m = this.maxLengthMatch;
+
+			if (m < this._n)
+				err('RiMarkov.maxLengthMatch must be >= n (' + this._n + '), found: ' + m);
+
+			if (!this._grams || this._grams.m !== m) {
+
+				this._grams = { m: m, keys: {} };
+				for (var name in this._sources) {
+
+					input = this._sources[name].input;
+					input.length || warn('RiMarkov: text from "' + name + '" was loaded before ' +
+						'maxLengthMatch was set (or restored by fromJSON), so is not checked');
+
+					for (i = 0; i + m < input.length; i++)
+						this._grams.keys[JSON.stringify(input.slice(i, i + m + 1))] = true;
+				}
+			}
+
+			key = JSON.stringify(tokens.slice(tokens.length - m - 1));
+
+			return tokens.length > m && this._grams.keys.hasOwnProperty(key);
+		},
+
+		// Returns the last n-1 (or fewer) tokens of 'path'
+		_context : function(path) {
+
+			return path.slice(Math.max(0, path.length - (this._n - 1)));
+		},
+
+		/*
+		 * Returns { token: probability } for each token in the model, given the context, using
+		 * interpolated Kneser-Ney estimates: raw counts at the top level and the # of distinct
+		 * preceding tokens (continuation counts) at lower levels, backing off to a shorter
+		 * context when one is unseen
+		 */
+		_smoothedProbabilities : function(context, top) {
+
+			var i, tok, p, lower, probs = {}, D = RiMarkov.KN_DISCOUNT, kids = this.root.childNodes(),
+				level = this._smoothingLevel(context, top !== false);
+
+			if (!level.total)
+				return context.length ? this._smoothedProbabilities(context.slice(1), top) : probs;
+
+			lower = context.length && this._smoothedProbabilities(context.slice(1), false);
+
+			for (i = 0; i < kids.length; i++) {
+
+				tok = kids[i].token;
+				p = !lower ? level.count(tok) / level.total : Math.max(level.count(tok) - D, 0) /
+					level.total + (D * level.types / level.total) * (lower[tok] || 0);
+
+				if (p > 0) probs[tok] = p;
+			}
+
+			return probs;
+		},
+
+		// Returns the total, # of types, and a count() function for one level of smoothing,
+		// leaving out end-of-input (never an outcome), so that each distribution sums to 1
+		_smoothingLevel : function(context, top) {
+
+			var i, node = this.root, conts, end;
+
+			if (top) {
+
+				for (i = 0; node && i < context.length; i++)
+					node = node.child(context[i]);
+
+				if (!node) return { total: 0 };
+
+				end = node.child(null);
+				end = (end && end.token === null) ? end.count : 0;
+
+				if (node.childCount() - end < RiMarkov._EPSILON) return { total: 0 };
+
+				return { total: node.childCount() - end, types: node.uniqueCount() - (end ? 1 : 0),
+					count: function(tok) {
+						var child = node.child(tok);
+						return child ? child.count : 0;
+					}
+				};
+			}
+
+			conts = this._continuations();
+
+			return { total: conts.sums[JSON.stringify(context)] || 0, types: conts.types[JSON.stringify(context)],
+				count: function(tok) {
+					return conts.counts[JSON.stringify(context.concat([tok]))] || 0;
+				}
+			};
+		},
+
+		// Selects a token from { token: weight }, in proportion to its weight
+		_selectWeighted : function(probs) {
+
+			var tok, last, total = 0, selector;
+
+			for (tok in probs) total += probs[tok];
+
+			selector = RiTa.random() * total;
+
+			for (tok in probs) {
+
+				last = tok;
+				selector -= probs[tok];
+				if (selector < 0) return tok;
+			}
+
+			if (!last) err('RiMarkov: no tokens in model!');
+
+			return last; // rounding
+		},
+
+		_generateSentencesWith : function(num, constraints) {
+
+			var me = this, cons = this._constraints(constraints), result = [], tries = 0,
+				max = this.maxSentenceLength, toks, sent, start;
+
+			var isEnd = function(tok) { return /^[.!?]$/.test(tok); };
+
+			var sentence = function(toks) {
+				return RiTa.untokenize(toks).replace(/(.)\( /, "$1 (");
+			};
+
+			var done = function(toks) {
+
+				return toks.length >= me.minSentenceLength && isEnd(toks[toks.length - 1]) &&
+					(cons.satisfied(toks) || cons.satisfied(toks.slice(0, -1))) &&
+					me._validateSentence(sentence(toks));
+			};
+
+			var viable = function(toks) { // no continuing past the end of a sentence
+
+				return (toks.length <= cons.seed.length || !isEnd(toks[toks.length - 1])) &&
+					cons.viable(toks, max, false) && !(me.maxLengthMatch && me._copiesSource(toks));
+			};
+
+			while (result.length < num && ++tries <= num * 10) {
+
+				start = cons.seed.length ? cons.seed : [this._getSentenceStart().token];
+				toks = this._search(start, max, done, viable);
+
+				if (!toks) {
+
+					if (cons.seed.length) break; // all paths from the seed were tried
+					continue;
+				}
+
+				sent = sentence(toks);
+				if (result.indexOf(sent) < 0) result.push(sent);
+			}
+
+			if (result.length < num)
+				this._onGenerationIncomplete(tries, result.length);
+
+			return result;
+		},
+
+		// Normalizes generation constraints (see generateTokens) and returns checks for them
+		_constraints : function(constraints) {
+
+			var toArray = function(val) {
+				return !val ? [] : (is(val, S) ? RiTa.tokenize(val) : val);
+			};
+
+			var seed = toArray(constraints.seed), ends = toArray(constraints.endsWith),
+				contains = toArray(constraints.contains);
+
+			var missing = function(toks) {
+				return contains.filter(function(w) { return toks.indexOf(w) < 0; }).length;
+			};
+
+			if (seed.length && !this.smoothing && !this._findNode(seed))
+				err('RiMarkov: seed not found in model: ' + seed.join(SP));
+
+			return {
+
+				seed: seed,
+
+				satisfied : function(toks) {
+
+					for (var i = 1; i <= ends.length; i++)
+						if (toks[toks.length - i] !== ends[ends.length - i]) return false;
+
+					return toks.length >= ends.length && !missing(toks);
+				},
+
+				// false if 'toks' can't be extended (to 'max' tokens) to meet the constraints
+				viable : function(toks, max, exact) {
+
+					var i, room = max - toks.length, from = max - ends.length;
+
+					if (exact) { // the last tokens are known
+						for (i = Math.max(from, 0); i < toks.length; i++)
+							if (toks[i] !== ends[i - from]) return false;
+					}
+
+					return room >= missing(toks);
+				}
+			};
+		},
+
+		// Extends 'tokens' depth-first, choosing next tokens in weighted random order and
+		// backtracking at dead-ends, until done() accepts them (or fails, returning null);
+		// uses one array of tokens, and a stack with the untried candidates for each length
+		_search : function(tokens, max, done, viable) {
+
+			var me = this, steps = 1, toks = tokens.slice(), stack = [], top, tok;
+
+			// true if 'toks' is accepted, else pushes its candidates (if it can be extended)
+			var visit = function() {
+
+				if (toks.length && done(toks)) return true;
+
+				if (toks.length < max && viable(toks))
+					stack.push({ length: toks.length, probs: me._candidates(toks) });
+
+				return false;
+			};
+
+			if (visit()) return toks;
+
+			while (stack.length) {
+
+				top = stack[stack.length - 1];
+
+				if (!okeys(top.probs).length) { // all tried, so backtrack
+
+					stack.pop();
+					continue;
+				}
+
+				tok = this._selectWeighted(top.probs);
+				delete top.probs[tok];
+
+				if (++steps > RiMarkov.MAX_SEARCH_STEPS) return null;
+
+				toks.length = top.length;
+				toks.push(tok);
+
+				if (visit()) return toks;
+			}
+
+			return null;
+		},
+
+		// Returns { token: probability } for the tokens that can follow 'tokens'
+		_candidates : function(tokens) {
+
+			var i, nodes, node, probs = {}, context = this._context(tokens);
+
+			if (this.smoothing) return this._shape(this._smoothedProbabilities(context));
+
+			node = context.length ? this._findNode(context) : this.root;
+			nodes = node ? node.childNodes() : [];
+
+			for (i = 0; i < nodes.length; i++) {
+
+				if (nodes[i].token !== null) // end-of-input
+					probs[nodes[i].token] = nodes[i].probability();
+			}
+
+			return this._shape(probs);
+		},
+
+		_isShaped : function() {
+
+			return this.temperature !== 1 || this.topK > 0 || this.topP < 1;
+		},
+
+		// Applies the 'temperature', 'topK' and 'topP' settings to { token: probability }
+		_shape : function(probs) {
+
+			var i, toks, p, sum = 0, total = 0, result = {};
+
+			if (!this._isShaped()) return probs;
+
+			if (this.temperature < 0 || this.topP <= 0 || isNaN(this.temperature + this.topP))
+				err('RiMarkov: invalid temperature (' + this.temperature + ') or topP (' + this.topP + ')');
+
+			toks = okeys(probs).sort(function(a, b) { return probs[b] - probs[a]; });
+
+			for (i = 0; i < toks.length; i++) total += probs[toks[i]];
+
+			if (this.topK > 0) toks = toks.slice(0, this.topK);
+
+			if (this.temperature === 0) toks = toks.slice(0, 1);
+
+			// keep the likeliest tokens, up to a total probability of 'topP'
+			for (i = 0; i < toks.length && (!i || sum < this.topP * total); i++) {
+
+				p = probs[toks[i]];
+				sum += p;
+				result[toks[i]] = this.temperature ? Math.pow(p / total, 1 / this.temperature) : 1;
+			}
+
+			return result;
+		},
+
+		// Selects a child of 'node' (that passes 'filter', if given) by probability, as shaped by _shape()
+		_selectChild : function(node, filter) {
 
-			var toAdd, words = allWords, nFactor = this.getN();
+			var i, nodes, probs = {};
 
-			for (i = 0; i < words.length; i++) {
-				
-				toAdd = [];
-				for (j = 0; j < nFactor; j++) {
-					if ((i + j) < words.length)
-						toAdd[j] = words[i + j];
-				}
+			if (!filter && !this._isShaped()) return node.selectChild(null, true);
 
-				// hack to deal with multiplier...
-				for (j = 0; j < multiplier; j++)
-					this._addSentenceSequence(toAdd);
-			}
+			nodes = node.childNodes();
+			for (i = 0; i < nodes.length; i++) {
 
-			this.root.count += words.length;
+				if (!filter || filter(nodes[i]))
+					probs[nodes[i].token] = nodes[i].probability();
+			}
 
-			return this;
-		},
-		
-		size : function() {
-			
-			return this.root.count;
-		},		  
-		
-		_validSentenceStart : function(word) {      
- 
-			return (!this.isSentenceAware || word && word.match(RiMarkov._SSRE)); 
+			return okeys(probs).length ? node.child(this._selectWeighted(this._shape(probs))) : null;
 		},
-		
-		_addSentenceSequence : function(toAdd) {
-			
-			//log("_addSentenceSequence: "+toAdd.length);
-			
-			var node = this.root;
 
-			//this.root.count += toAdd.length; // here?
+		/*
+		 * Counts, for each sequence of up to n-1 tokens, the distinct tokens that precede it in
+		 * the model, with the sums and # of sequences (types) for each shorter context
+		 */
+		_continuations : function() {
 
-			for(var i = 0; i < toAdd.length; i++) {
+			if (this._conts) return this._conts;
 
-				if (!toAdd[i]) continue;
+			var conts = { counts: {}, sums: {}, types: {} };
 
-				if (node.token) {
+			var walk = function(node, path) {
 
-					var add = toAdd[i];
+				var i, child, seq, key, ctx, kids = node.childNodes();
 
-					if (startsWith(add, RiMarkov._SSDLM)) {
+				for (i = 0; i < kids.length; i++) {
 
-						add = add.substring(RiMarkov._SSDLM.length); 
-						var parent = node;
+					child = kids[i];
+					seq = path.concat([child.token]);
 
-						node = node.addChild(add, this.smoothing ? 2 : 1);
-						node.isSentenceStart = true;
+					if (seq.length > 1 && child.token !== null) { // not end-of-input
 
-						if (parent.isRoot()) {
-							this.sentenceStarts.push(node.token);
-						}
+						key = JSON.stringify(seq.slice(1));
+						ctx = JSON.stringify(seq.slice(1, -1));
 
-					} else 
-						node = node.addChild(add, this.smoothing ? 2 : 1);
+						conts.counts[key] || (conts.types[ctx] = (conts.types[ctx] || 0) + 1);
+						conts.counts[key] = (conts.counts[key] || 0) + 1;
+						conts.sums[ctx] = (conts.sums[ctx] || 0) + 1;
+					}
+
+					walk(child, seq);
 				}
-			}			
-		},
-		
+			};
 
-		_getSentenceStart : function() {
-			
-			if (!this.isSentenceAware) {
-      			err("getSentenceStart() can only " +
-        			"be called when the model is in 'sentence-aware' mode...");
-    		}
-			if (!this.sentenceStarts || !this.sentenceStarts.length)
-				err('No sentence starts found! genSen='+this.isSentenceAware);
-			
-			var start = RiTa.randomItem(this.sentenceStarts);
-			
-			return this.root.lookup(start);
+			walk(this.root, []);
+
+			return (this._conts = conts);
 		},
 
 		_findNode: function(path) {
@@ -2327,7 +3635,7 @@
 		randomWord : function() {  // takes nothing, pos, syllableCount, or both 
 			
 			var found = false, a = arguments, wordArr = okeys(RiLexicon.data),
-				ran = Math.floor(Math.random() * okeys(RiLexicon.data).length),
+				ran = Math.floor(RiTa.random() * okeys(RiLexicon.data).length),
 				ranWordArr = shuffle(wordArr), i, j, data; 
 			
 			switch (a.length) {
@@ -3019,12 +4327,265 @@
 	RiGrammar.EXEC_PATT = /(.*?)(`[^`]+?\(.*?\);?`)(.*)/;
 	RiGrammar.STRIP_TICKS = /`([^`]*)`/g;
 	RiGrammar.OR_PATT = /\s*\|\s*/;
+	RiGrammar.MAX_SEARCH_STEPS = 100000;
+	RiGrammar.SYMBOL_PATT = /<[^<>\s]+>/g;
+	RiGrammar.ENTITY_PATT = /&(lt|gt|amp|quot|#\d+|#x[0-9a-f]+);/gi;
+	RiGrammar.NAME_PATT = /^<[^<>\s]+>$/;
+	RiGrammar.TOKEN_PATT = /\[\$([A-Za-z_]\w*)=([^\[\]]*)\]|\$([A-Za-z_]\w*)|<[^<>\s]+>((?:\.[A-Za-z_]\w*)*)/g;
+	RiGrammar.CALL_PATT = /^\s*([A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*)\s*\(/;
+	RiGrammar.IMPORT_KEY = '@import';
+	RiGrammar.BINDINGS_KEY = 'bindings'; // where expand() returns bound variables in its context
+
+	/*
+	 * The RiTa functions that back-ticked expressions may call, e.g., `RiTa.pluralize(<noun>)`:
+	 * only those that compute on text (no loaders, timers, events, or random-seeding)
+	 */
+	RiGrammar.RITA_FUNCTIONS = [ 'chomp', 'conjugate', 'getPastParticiple', 'getPhonemes',
+		'getPosTags', 'getPosTagsInline', 'getPresentParticiple', 'getStresses', 'getSyllables',
+		'getWordCount', 'hasPunctuation', 'isAbbreviation', 'isPunctuation', 'isQuestion',
+		'isSentenceEnd', 'isW_Question', 'minEditDist', 'pluralize', 'posToWordNet', 'singularize',
+		'splitSentences', 'stem', 'stripPunctuation', 'tokenize', 'trim', 'trimPunctuation',
+		'unescapeHTML', 'untokenize', 'upperCaseFirst' ];
+
+	/*
+	 * Transforms that can follow a rule reference, e.g., '<noun>.pluralize', each applied
+	 * (left to right) to the expansion of the rule. Functions added via addFunction()
+	 * can be used in the same way.
+	 */
+	RiGrammar.TRANSFORMS = {
+
+		articlize : function(s) {
+
+			var m = /^[^\w]*(\w+)/.exec(s);
+			return m ? (RiGrammar._vowelSound(m[1]) ? 'an ' : 'a ') + s : s;
+		},
+
+		capitalize : function(s) {
+
+			return RiTa.upperCaseFirst(s);
+		},
+
+		pluralize : function(s) { // the last word
+
+			return s.replace(/(\w+)([^\w]*)$/, function(all, word, rest) {
+				return RiTa.pluralize(word) + rest;
+			});
+		},
+
+		ed : function(s) { // the first word, in the simple past
+
+			return s.replace(/^([^\w]*)(\w+)/, function(all, pre, word) {
+
+				var past = RiTa.conjugate(word, { tense: RiTa.PAST_TENSE,
+					number: RiTa.SINGULAR, person: RiTa.THIRD_PERSON });
+
+				return pre + (/^[A-Z]/.test(word) ? RiTa.upperCaseFirst(past) : past);
+			});
+		}
+	};
+
+	// True if 'word' starts with a vowel sound (from the lexicon, if loaded, else its spelling)
+	RiGrammar._vowelSound = function(word) {
+
+		var phones = (typeof _RiTa_DICT != 'undefined') ? RiLexicon()._getRawPhones(word) : E;
+		return /^[aeiou]/i.test(phones || word);
+	};
+
+	/*
+	 * Parses a grammar from a JSON or YAML string (objects are returned as-is)
+	 */
+	RiGrammar._parse = function(grammar) {
+
+		if (is(grammar, S)) {
+
+			if (typeof YAML != 'undefined') {
+				try {
+
+					grammar = YAML.parse(grammar);
+				}
+				catch (e) {
+					warn('YAML parsing failed, trying JSON');
+				}
+			}
+
+			if (!is(grammar, O)) {
+				try {
+
+					grammar = JSON.parse(grammar);
+				}
+				catch (e) { var ex = e; }
+			}
+		}
+
+		if (ex || !is(grammar, O)) {
+
+			typeof YAML == 'undefined' && warn("No YAML parser found!");
+			err('Grammar appears to be invalid JSON/YAML, please check' +
+				' it! (http://jsonlint.com/ or http://yamllint.com/)', grammar);
+
+			return;
+		}
+
+		return grammar;
+	};
+
+	/*
+	 * Normalizes the value of an '@import' entry, which may be a path, an array
+	 * of paths, or an object mapping namespaces to paths, into [{ ns, path }]
+	 */
+	RiGrammar._imports = function(spec) {
+
+		var result = [];
+
+		if (!spec) return result;
+
+		if (is(spec, S)) spec = [spec];
+
+		if (is(spec, A)) {
+
+			for (var i = 0; i < spec.length; i++)
+				result.push({ ns: E, path: spec[i] });
+		}
+		else if (is(spec, O)) {
+
+			for (var ns in spec) {
+
+				if (!/^[^<>\s.]+$/.test(ns))
+					err('Invalid namespace in ' + RiGrammar.IMPORT_KEY + ': \'' + ns + '\'');
+				result.push({ ns: ns, path: spec[ns] });
+			}
+		}
+		else {
+
+			err('Invalid ' + RiGrammar.IMPORT_KEY + ' value: ' + spec);
+		}
+
+		return result;
+	};
+
+	/*
+	 * Prefixes a rule name with a namespace, e.g., ('<color>', 'pal') -> '<pal.color>'
+	 */
+	RiGrammar._namespace = function(name, ns) {
+
+		var m = /^<(.+)>$/.exec(name);
+		return m ? '<' + ns + '.' + m[1] + '>' : ns + '.' + name;
+	};
+
+	/*
+	 * Resolves an import path against the url of the file that imports it
+	 */
+	RiGrammar._resolvePath = function(base, path) {
+
+		if (!base || /^(\/|[a-z]+:\/\/)/i.test(path)) return path;
+
+		return base.substring(0, base.lastIndexOf('/') + 1) + path;
+	};
+
+	/*
+	 * Parses a call like 'fun(a, "b", other(3), true)' into { name, args }, where each
+	 * arg is a string, number, boolean, null, or a nested call. Unquoted text that
+	 * is not a number, boolean or null (e.g., an expanded rule) is passed as a string.
+	 */
+	RiGrammar._parseCall = function(str) {
+
+		var pos = 0, result;
+
+		function skipSpace() {
+
+			while (pos < str.length && /\s/.test(str.charAt(pos))) pos++;
+		}
+
+		function parseCall() {
+
+			var m = RiGrammar.CALL_PATT.exec(str.substring(pos)), c, args = [];
+
+			if (!m) throw Error("Expected function call at '"+str.substring(pos)+"'");
+
+			pos += m[0].length;
+			skipSpace();
+
+			if (str.charAt(pos) === ')') {
+				pos++;
+				return { name: m[1], args: args };
+			}
+
+			while (true) {
+
+				args.push(parseArg());
+				skipSpace();
+
+				c = str.charAt(pos++);
+				if (c === ')') break;
+				if (c !== ',') throw Error("Expected ',' or ')' at '"+str.substring(pos-1)+"'");
+			}
+
+			return { name: m[1], args: args };
+		}
+
+		function parseArg() {
+
+			var c, q, s = E, depth = 0;
+
+			skipSpace();
+			q = str.charAt(pos);
+
+			if (q === '"' || q === "'") { // quoted string
+
+				while (++pos < str.length) {
+
+					c = str.charAt(pos);
+					if (c === '\\' && pos < str.length - 1) {
+						s += str.charAt(++pos);
+						continue;
+					}
+					if (c === q) {
+						pos++;
+						return s;
+					}
+					s += c;
+				}
+				throw Error("Unterminated string in '"+str+"'");
+			}
+
+			if (RiGrammar.CALL_PATT.test(str.substring(pos)))
+				return parseCall();
+
+			while (pos < str.length) { // bare text, up to ',' or ')'
+
+				c = str.charAt(pos);
+				if (!depth && (c === ',' || c === ')')) break;
+				if (c === '(') depth++;
+				if (c === ')') depth--;
+				s += c;
+				pos++;
+			}
+
+			s = trim(s);
+			if (s === 'true' || s === 'false') return s === 'true';
+			if (s === 'null') return null;
+			return isNum(s) ? parseFloat(s) : s;
+		}
+
+		result = parseCall();
+		skipSpace();
+
+		if (pos < str.length) throw Error("Unexpected '"+str.substring(pos)+"'");
+
+		return result;
+	};
 	
 	RiGrammar.prototype = {
 		
 		init : function(grammar) {
 
 			this._rules = {};
+			this._pattern = null;
+			this._funs = {};
+			this._bindings = {};
+			this._pending = 0;
+			this._loading = null;
+			this._decay = null;
 			this.execDisabled = false;
 			
 			if (grammar) {
@@ -3037,58 +4598,216 @@
 
 		ready : function(url) {
 			
-			return (okeys(this._rules).length > 0);
+			return (!this._pending && okeys(this._rules).length > 0);
 		},
 		
+		/*
+		 * Loads a grammar (and its imports, as for load()) from a file or url
+		 * @param {string} url
+		 * @param {function} callback (optional) called with the loaded text once all imports
+		 * are loaded, and with an Error as the second argument if the file or an import failed
+		 */
 		loadFrom : function(url, callback) {
 
-			RiTa.loadString(url, function(data) {
-	      
-				this.load(data);
-				is(callback, F) && (callback(data));
-				
-			}.bind(this), '\n');
-		},
+			RiTa.loadString(url, function(data) {
+
+				this._load(data, url, function(g, error) {
+					is(callback, F) && (callback(data, error));
+				});
+
+			}.bind(this), '\n', function(e) {
+
+				is(callback, F) && (callback(null, e));
+			});
+		},
+
+		/*
+		 * Loads a grammar from a JSON/YAML string or an object, replacing any existing
+		 * rules. An '@import' entry may name other grammar files to be loaded (via
+		 * RiTa.loadString) into this one, either as a path or array of paths, whose rules
+		 * are merged as-is, or as an object mapping namespaces to paths, e.g.
+		 * { "@import": { "pal": "colors.json" } }, whose rules are then referenced as
+		 * <pal.color>. Rules already defined take precedence over imported ones.
+		 * @param {string|object} grammar
+		 * @param {function} callback (optional) called with the grammar once all imports are
+		 * loaded, and with an Error as the second argument if an import could not be loaded or
+		 * parsed (its rules are skipped). A load() while imports are pending replaces that one.
+		 * @returns {object} this RiGrammar
+		 */
+		load : function(grammar, callback) {
+
+			return this._load(grammar, E, callback);
+		},
+
+		_load : function(grammar, url, callback) {
+
+			// any imports still pending from an earlier load are ignored
+			var load = this._loading = {};
+
+			this.reset();
+			this._pending = 0;
+
+			grammar = RiGrammar._parse(grammar);
+
+			if (!grammar) return;
+
+			this._addDocument(grammar, E, url, url ? [url] : [], load, function() {
+				this._loading = null;
+				is(callback, F) && (callback(this, load.error));
+			}.bind(this));
+
+			return this;
+		},
+
+		/*
+		 * Adds the rules of a parsed grammar (with namespace 'ns', if any), then loads
+		 * its imports, calling 'done' once all have been added (or have failed). In a
+		 * namespaced file, every symbol is assumed to refer to a rule of that file (or
+		 * its own imports).
+		 */
+		_addDocument : function(doc, ns, url, chain, load, done) {
+
+			var me = this, imports = RiGrammar._imports(doc[RiGrammar.IMPORT_KEY]),
+				waiting = imports.length, name, rule, i;
+
+			var localize = function(s) {
+				return !is(s, S) ? s : s.replace(RiGrammar.SYMBOL_PATT, function(sym) {
+					return RiGrammar._namespace(sym, ns);
+				});
+			};
+
+			var finish = function() {
+				if (me._loading !== load) return; // replaced by a later load
+				me._pending--;
+				if (--waiting === 0) done();
+			};
+
+			for (name in doc) {
+
+				if (name === RiGrammar.IMPORT_KEY) continue;
+
+				rule = doc[name];
+
+				if (ns) {
+
+					name = RiGrammar._namespace(name, ns);
+					rule = is(rule, A) ? rule.map(localize) : localize(rule);
+				}
+
+				if (!this.hasRule(name)) // existing rules win
+					this.addRule(name, rule);
+			}
+
+			if (!waiting) return done();
+
+			this._pending += waiting;
+
+			for (i = 0; i < imports.length; i++)
+				this._import(imports[i], ns, url, chain, load, finish);
+		},
+
+		_import : function(imp, ns, base, chain, load, finish) {
+
+			var path = RiGrammar._resolvePath(base, imp.path),
+				sub = (ns && imp.ns) ? ns + '.' + imp.ns : (imp.ns || ns);
+
+			var fail = function(e) {
+				warn('RiGrammar: unable to import ' + path + ': ' + e.message);
+				load.error = load.error || e;
+				finish();
+			};
+
+			if (chain.indexOf(path) > -1) {
+
+				warn('RiGrammar: ignoring circular import of ' + path);
+				return finish();
+			}
+
+			RiTa.loadString(path, function(data) {
+
+				var doc;
+
+				if (this._loading !== load) return;
+
+				try {
+					doc = RiGrammar._parse(data);
+				}
+				catch (e) {
+					return fail(e);
+				}
+
+				this._addDocument(doc, sub, path, chain.concat(path), load, finish);
+
+			}.bind(this), '\n', fail);
+		},
+
+		/*
+		 * Adds rules inferred from example text: each sentence is tokenized and POS-tagged
+		 * (via RiTa.getPosTags) and becomes a template for the start rule, e.g.,
+		 * '<dt>.capitalize <jj> <nn> <vbd>.', while each tag becomes a rule, e.g., <nn>,
+		 * whose alternatives are the words observed with it. Templates and words are
+		 * weighted by their frequencies (added to the weights of any existing alternatives).
+		 * Sentences containing grammar syntax (<, >, [, ], | or `) are skipped.
+		 * @param {string|array} text the corpus, as a string or an array of sentences
+		 * @param {string} rule (optional, default=<start>) the rule for the templates
+		 * @returns {object} this RiGrammar
+		 */
+		infer : function(text, rule) {
+
+			var i, j, sents, words, tags, word, sym, tmpl, name, alt,
+				counts = {}, count = function(name, alt) {
+					counts[name] = counts[name] || {};
+					counts[name][alt] = (counts[name][alt] || 0) + 1;
+				};
+
+			rule = rule || RiGrammar.START_RULE;
+			sents = is(text, A) ? text : RiTa.splitSentences(text);
+			counts[rule] = {};
+
+			for (i = 0; i < sents.length; i++) {
+
+				if (!strOk(sents[i]) || /[<>\[\]|`]/.test(sents[i])) continue;
+
+				words = RiTa.tokenize(sents[i]);
+				tags = RiTa.getPosTags(words);
+				tmpl = [];
+
+				for (j = 0; j < words.length; j++) {
+
+					word = words[j];
+
+					if (RiTa.isPunctuation(word) || !/^[a-z]/.test(tags[j])) {
+
+						tmpl.push(word);
+						continue;
+					}
+
+					sym = '<' + tags[j] + '>';
+
+					// a sentence-initial capital is restored with a transform
+					if (!j && /^[A-Z]/.test(word) && !/^nnps?$/.test(tags[j]) && word !== 'I' &&
+						word.toLowerCase() !== word) {
+
+						word = word.toLowerCase();
+						sym += '.capitalize';
+					}
+
+					count('<' + tags[j] + '>', word);
+					tmpl.push(sym);
+				}
 
-		load : function(grammar) {
-			
-			this.reset();
-			
-			if (is(grammar, S)) {
-			    
-			    if (typeof YAML != 'undefined') {
-    				try {   
-    				    
-				        //console.log('trying YAML');
-                        grammar = YAML.parse(grammar);
-    				}
-    				catch (e) {
-                        warn('YAML parsing failed, trying JSON');
-    				}
-                }
-				
-				if (!is(grammar, O)) {
-                    try {
-                        
-                        //console.log('trying JSON');
-                        grammar = JSON.parse(grammar);
-                    }
-                    catch (e) { var ex = e}
-                }
+				tmpl.length && count(rule, RiTa.untokenize(tmpl));
 			}
-			
-			if (ex || !is(grammar, O)) {  
-				
-				typeof YAML == 'undefined' && warn("No YAML parser found!");
-				err('Grammar appears to be invalid JSON/YAML, please check' +
-					' it! (http://jsonlint.com/ or http://yamllint.com/)', grammar);
-					
-				return;
+
+			for (name in counts) {
+
+				for (alt in counts[name]) {
+
+					this.addRule(name, alt, (this.hasRule(name) && this._rules[name].hasOwnProperty(alt) ?
+						parseFloat(this._rules[name][alt]) : 0) + counts[name][alt]);
+				}
 			}
 
-			for (var rule in grammar)				 
-				this.addRule(rule, grammar[rule]);
-			
 			return this;
 		},
 
@@ -3135,6 +4854,7 @@
 					var temp2 = {};
 					temp2[rule] = prob;
 					this._rules[name] = temp2;
+					this._pattern = null;
 					
 					if (dbug)log("added rule: "+name);
 				}
@@ -3146,13 +4866,86 @@
 		removeRule : function(name)  {
 			
 			delete this._rules[name];
+			this._pattern = null;
+			this._decay && (delete this._decay.used[name]);
 			return this;
 			
 		},
 
+		/*
+		 * Returns the weight of one alternative of a rule
+		 * @param {string} name the rule name, e.g., '<noun>'
+		 * @param {string} alternative the alternative (without its [weight])
+		 * @returns {number} the weight
+		 */
+		getWeight : function(name, alternative) {
+
+			this._checkAlternative(name, alternative);
+
+			return parseFloat(this._rules[name][alternative]);
+		},
+
+		/*
+		 * Sets the weight of one alternative of a rule
+		 * @param {string} name the rule name, e.g., '<noun>'
+		 * @param {string} alternative the alternative (without its [weight])
+		 * @param {number} weight the new weight (greater than 0)
+		 * @returns {object} this RiGrammar
+		 */
+		setWeight : function(name, alternative, weight) {
+
+			ok(weight, N);
+			this._checkAlternative(name, alternative);
+
+			if (weight <= 0 || !isFinite(weight))
+				err("Invalid weight: " + weight);
+
+			this._rules[name][alternative] = weight;
+
+			return this;
+		},
+
+		_checkAlternative : function(name, alternative) {
+
+			if (!this.hasRule(name))
+				err("Rule not found: " + name);
+
+			if (!this._rules[name].hasOwnProperty(alternative))
+				err("Alternative '" + alternative + "' not found in rule " + name);
+		},
+
+		/*
+		 * Down-weights recently used alternatives, so that expansions repeat less often:
+		 * each time an alternative is chosen its weight is multiplied by 'factor', while
+		 * the other alternatives of the rule recover (by 'recovery') towards their full weight.
+		 * setDecay(0) never picks the same alternative twice in a row; setDecay(1) turns decay off.
+		 * @param {number} factor in [0,1], the multiplier for a chosen alternative
+		 * @param {number} recovery (optional, default=1-factor) in [0,1], the fraction of the
+		 * lost weight each other alternative regains when a rule is expanded
+		 * @returns {object} this RiGrammar
+		 */
+		setDecay : function(factor, recovery) {
+
+			ok(factor, N);
+
+			recovery = is(recovery, N) ? recovery : 1 - factor;
+
+			if (factor < 0 || factor > 1 || recovery < 0 || recovery > 1)
+				err("Invalid decay: factor=" + factor + ", recovery=" + recovery);
+
+			this._decay = (factor < 1) ? { factor: factor, recovery: recovery, used: {} } : null;
+
+			return this;
+		},
+
 		_copy: function() {  // NIAPI
 			
 			var tmp = RiGrammar();
+			tmp.execDisabled = this.execDisabled;
+			tmp._decay = this._decay;
+			for (var fun in this._funs) {
+				tmp._funs[fun] = this._funs[fun];
+			}
 			for(var name in this._rules) {
 				tmp._rules[name] = this._rules[name];
 			}
@@ -3163,6 +4956,8 @@
 		reset : function() {
 			
 		   this._rules = {};
+		   this._pattern = null;
+		   this._decay && (this._decay.used = {});
 		   return this;
 		   
 		},
@@ -3177,6 +4972,13 @@
 			
 			if (!cnt) return null;
 			
+			if (cnt > 1 && this._decay) {
+
+				name = this._getStochasticRule(this._decayed(pre));
+				this._adapt(pre, name);
+				return name;
+			}
+
 			return (cnt == 1) ? name : this._getStochasticRule(rules); 
 		},
 		
@@ -3193,6 +4995,67 @@
 			}
 			return RiTa.chomp(s);
 		},
+
+		/*
+		 * Returns the rules as a YAML string (with [weight] annotations) that can
+		 * be passed back to load() or the RiGrammar constructor
+		 * @returns {string} the grammar as YAML
+		 */
+		toYAML : function() {
+
+			var name, i, val, obj = this.toJSON(), s = E;
+
+			// JSON strings are also valid (double-quoted) YAML scalars
+			for (name in obj) {
+
+				val = obj[name];
+				s += JSON.stringify(name) + ':';
+
+				if (!is(val, A)) {
+					s += SP + JSON.stringify(val) + '\n';
+					continue;
+				}
+
+				s += '\n';
+				for (i = 0; i < val.length; i++)
+					s += '  - ' + JSON.stringify(val[i]) + '\n';
+			}
+
+			return s;
+		},
+
+		/*
+		 * Returns the rules as an object, { name: alternative(s) } (with [weight]
+		 * annotations), that can be passed back to load() or the RiGrammar constructor,
+		 * and so JSON.stringify(grammar) gives the grammar as JSON
+		 * @returns {object} the grammar as a plain object
+		 */
+		toJSON : function() {
+
+			var name, alt, w, alts, obj = {};
+
+			for (name in this._rules) {
+
+				alts = [];
+				for (alt in this._rules[name]) {
+
+					w = this._rules[name][alt];
+					if (parseFloat(w) !== 1) {
+
+						w = String(w);
+						if (!/^[0-9.]+$/.test(w)) // e.g., exponents
+							w = parseFloat(w).toFixed(20).replace(/\.?0+$/, E);
+						alt += ' [' + w + ']';
+					}
+					alts.push(alt);
+				}
+
+				// use a string only when it can't be mis-split on load
+				obj[name] = (alts.length == 1 && !RiGrammar.OR_PATT.test(alts[0])) ? alts[0] : alts;
+			}
+
+			return obj;
+		},
 			
 		print : function() {  
 			
@@ -3200,44 +5063,508 @@
 				var ln = "\n------------------------------";
 				console.log(ln+"\n"+this.getGrammar()+ln);
 			}
-			return this;
-			
-		},
-		
-		hasRule : function(name) {
+			return this;
+			
+		},
+		
+		hasRule : function(name) {
+
+			return (typeof this._rules[name] !== 'undefined');
+		},
+
+		/*
+		 * Checks the grammar without expanding it, reporting undefined symbols, rules
+		 * unreachable from the start rule, rules with no terminating derivation,
+		 * unbalanced back-ticks and malformed weights.
+		 * @param {boolean} throwOnError (optional) throw an Error listing any problems found
+		 * @returns {array} of problems, each with a 'type', 'rule', 'alternative', 'offset'
+		 * (the character index in the alternative, or -1) and a 'message'; empty if valid
+		 */
+		validate : function(throwOnError) {
+
+			var name, alt, m, w, i, syms, productive, problems = [],
+				reached = {}, queue = [], start = RiGrammar.START_RULE;
+
+			var report = function(type, rule, alt, offset, msg) {
+
+				problems.push({ type: type, rule: rule, alternative: alt, offset: offset,
+					message: rule + (alt !== null ? " -> '" + alt + "'" : E) +
+						(offset > -1 ? " (at " + offset + ")" : E) + ": " + msg });
+			};
+
+			if (!this.hasRule(start))
+				report('missing-start', start, null, -1, "No start rule found");
+
+			for (name in this._rules) {
+
+				for (alt in this._rules[name]) {
+
+					RiGrammar.SYMBOL_PATT.lastIndex = 0;
+					while ((m = RiGrammar.SYMBOL_PATT.exec(alt))) {
+						if (!this.hasRule(m[0]))
+							report('undefined-symbol', name, alt, m.index, "Undefined symbol " + m[0]);
+					}
+
+					if (this._countTicks(alt) % 2)
+						report('unbalanced-ticks', name, alt, alt.lastIndexOf('`'), "Unbalanced back-ticks");
+
+					w = this._rules[name][alt];
+					if (!isNum(w) || parseFloat(w) <= 0)
+						report('bad-weight', name, alt, -1, "Invalid weight [" + w + "]");
+
+					if ((m = /\[(?!\$)[^\[\]]*\]?\s*$/.exec(alt)))
+						report('bad-weight', name, alt, m.index, "Malformed weight " + trim(m[0]));
+				}
+			}
+
+			// walk the rules reachable from the start rule
+			if (this.hasRule(start)) {
+
+				reached[start] = true;
+				queue.push(start);
+				while (queue.length) {
+
+					name = queue.shift();
+					for (alt in this._rules[name]) {
+
+						syms = this._findSymbols(alt);
+						for (i = 0; i < syms.length; i++) {
+
+							if (!reached[syms[i].name]) {
+								reached[syms[i].name] = true;
+								queue.push(syms[i].name);
+							}
+						}
+					}
+				}
+
+				for (name in this._rules) {
+					if (!reached[name])
+						report('unreachable', name, null, -1, "Unreachable from " + start);
+				}
+			}
+
+			productive = this._terminatingRules();
+
+			for (name in this._rules) {
+				if (!productive[name])
+					report('non-terminating', name, null, -1, "No terminating derivation");
+			}
+
+			if (throwOnError && problems.length) {
+
+				err("Invalid grammar:\n  " + problems.map(function(p) {
+					return p.message;
+				}).join("\n  "));
+			}
+
+			return problems;
+		},
+		
+		// Returns a map of the rules that have at least one terminating derivation
+		_terminatingRules : function() {
+
+			var name, alt, i, syms, changed, result = {};
+
+			// a rule terminates if one of its alternatives contains only terminating rules
+			do {
+
+				changed = false;
+				for (name in this._rules) {
+
+					if (result[name]) continue;
+
+					for (alt in this._rules[name]) {
+
+						syms = this._findSymbols(alt);
+						for (i = 0; i < syms.length && result[syms[i].name]; i++) {}
+
+						if (i === syms.length) {
+							result[name] = changed = true;
+							break;
+						}
+					}
+				}
+			} while (changed);
+
+			return result;
+		},
+
+		/*
+		 * Returns the number of distinct derivations for a rule, or Infinity if
+		 * the rule is recursive (and can terminate)
+		 * @param {string} rule (optional, default=<start>)
+		 * @returns {number} the number of derivations
+		 */
+		count : function(rule) {
+
+			rule = rule || RiGrammar.START_RULE;
+			this._checkRule(rule);
+
+			var me = this, counts = {}, active = {}, terminating = this._terminatingRules();
+
+			var countRule = function(name) {
+
+				var alt, syms, i, prod, sum = 0;
+
+				if (!terminating[name]) return 0;
+				if (active[name]) return Infinity; // a (terminating) cycle
+				if (counts.hasOwnProperty(name)) return counts[name];
+
+				active[name] = true;
+				for (alt in me._rules[name]) {
+
+					syms = me._findSymbols(alt);
+					for (i = 0; i < syms.length && terminating[syms[i].name]; i++) {}
+					if (i < syms.length) continue; // can't terminate
+
+					for (i = 0, prod = 1; i < syms.length; i++)
+						prod *= countRule(syms[i].name);
+
+					sum += prod;
+				}
+				delete active[name];
+
+				return (counts[name] = sum);
+			};
+
+			return countRule(rule);
+		},
+
+		/*
+		 * Lazily enumerates the distinct expansions of a rule, depth-first, with alternatives in
+		 * the order they were added. Left-recursive rules are cut off at a bound on the # of
+		 * expansions with no text between them, which is raised (and the search re-run) until
+		 * nothing more is cut off
+		 * @param {string} rule (optional, default=<start>)
+		 * @param {number} limit (optional) the max # of expansions to return
+		 * @param {object} context (optional) as for expand()
+		 * @returns {object} an iterator whose next() returns { value, done }
+		 */
+		enumerate : function(rule, limit, context) {
+
+			rule = rule || RiGrammar.START_RULE;
+			this._checkRule(rule);
+
+			var me = this, found = 0, seen = {}, iter, stack = [], bound = 0, cut = true,
+				initial = { type: 'symbol', text: rule, name: rule, transforms: [] };
+
+			limit = is(limit, N) ? limit : Infinity;
+
+			var advance = function() {
+
+				var st, tok, alts, i, vars, name, res, length;
+
+				while (found < limit) {
+
+					if (!stack.length) { // re-run the search with a higher bound, if it cut anything off
+
+						if (!cut || bound >= 1000) break;
+						stack.push({ pending: [initial], text: E, vars: {}, depth: 0, stall: 0 });
+						bound++;
+						cut = false;
+					}
+
+					st = stack.pop();
+
+					// handle the tokens up to the next symbol, then push one state per alternative
+					while (st.pending.length && st.pending[0].type !== 'symbol') {
+
+						tok = st.pending.shift();
+						length = st.text.length;
+
+						if (tok.type === 'transform') {
+
+							st.text = st.text.substring(0, tok.start) +
+								me._transform(st.text.substring(tok.start), tok.transforms);
+						}
+						else if (tok.type === 'bind') {
+
+							st.pending = me._tokenize(tok.prod).concat([{ type: 'bound', name: tok.name,
+								start: st.text.length }], st.pending);
+						}
+						else if (tok.type === 'bound') {
+
+							vars = {};
+							for (name in st.vars) vars[name] = st.vars[name];
+							vars[tok.name] = st.text.substring(tok.start);
+							st.vars = vars;
+						}
+						else {
+
+							st.text += me._resolveToken(tok, st.vars, context);
+						}
+
+						if (st.text.length > length) st.stall = 0;
+					}
+
+					if (!st.pending.length) {
+
+						res = me._evaluate(st.text, { count: 0, max: 1000, vars: st.vars, context: context });
+						if (res !== null && !seen.hasOwnProperty(res)) {
+							seen[res] = true;
+							found++;
+							return res;
+						}
+						continue;
+					}
+
+					if (st.depth >= 1000) continue; // give up on this (recursive) branch
+
+					if (st.stall >= bound) { // left-recursive (so far), so wait for a higher bound
+						cut = true;
+						continue;
+					}
+
+					tok = st.pending[0];
+					alts = okeys(me._rules[tok.name]);
+					for (i = alts.length - 1; i >= 0; i--) {
+						stack.push({ pending: me._symbolTokens(tok, alts[i], st.text.length).concat(st.pending.slice(1)),
+							text: st.text, vars: st.vars, depth: st.depth + 1, stall: st.stall + 1 });
+					}
+				}
+
+				return undefined;
+			};
+
+			iter = {
+				next : function() {
+					var val = advance();
+					return { value: val, done: val === undefined };
+				}
+			};
+
+			if (typeof Symbol !== 'undefined' && Symbol.iterator)
+				iter[Symbol.iterator] = function() { return iter; };
+
+			return iter;
+		},
+
+		// Returns the text for a 'text' or 'ref' token (from 'vars', then 'context')
+		_resolveToken : function(tok, vars, context) {
+
+			if (tok.type !== 'ref') return tok.text;
+
+			return vars.hasOwnProperty(tok.name) ? vars[tok.name] : (is(context, O) &&
+				(is(context[tok.name], S) || is(context[tok.name], N))) ? context[tok.name] : tok.text;
+		},
+
+		/*
+		 * Expands the grammar from the start rule, forcing a derivation through 'symbol',
+		 * which is expanded to 'literal' (e.g., expandWith("screams", "<action>"))
+		 * @param {string} literal the text to substitute for the symbol
+		 * @param {string} symbol the rule to force through
+		 * @param {object} context (optional) as for expand()
+		 * @returns {string} the expanded text, always containing the literal
+		 */
+		expandWith : function(literal, symbol, context) {
+
+			var name, gr = this._copy(), obj = {}, dists, forced, me = this, ids = 0;
+
+			if (!this.hasRule(symbol))
+				err("Rule '"+symbol+"' not found in grammar");
+
+			if (!this.hasRule(RiGrammar.START_RULE))
+				err("Rule not found: "+RiGrammar.START_RULE);
+
+			obj[literal] = 1.0;
+			gr._rules[symbol] = obj;
+
+			dists = this._distancesTo(symbol);
+
+			if (!isFinite(dists[RiGrammar.START_RULE]))
+				err("Rule '"+symbol+"' is unreachable from "+RiGrammar.START_RULE);
+
+			// at each step choose only among alternatives that move strictly closer
+			// to the symbol, so the forced derivation always terminates; a transformed
+			// part becomes a (one-off) rule, so it is transformed once fully expanded
+			forced = function(rule) {
+
+				if (rule === symbol) return literal;
+
+				var alt, occ, sub, ref, cands = {}, rules = me._rules[rule], d = dists[rule],
+					closer = function(s) { return dists[s.name] < d; };
+
+				for (alt in rules) {
+
+					if (me._findSymbols(alt).some(closer))
+						cands[alt] = rules[alt];
+				}
+
+				alt = me._getStochasticRule(cands);
+				occ = RiTa.randomItem(me._findSymbols(alt).filter(closer));
+
+				sub = forced(occ.name);
+				if (occ.transforms.length) {
+
+					ref = '<' + occ.name.substring(1, occ.name.length - 1) + '#' + (++ids) + '>';
+					gr._rules[ref] = {};
+					gr._rules[ref][sub] = 1.0;
+					sub = ref + '.' + occ.transforms.join('.');
+				}
+
+				return alt.substring(0, occ.idx) + sub + alt.substring(occ.idx + occ.text.length);
+			};
+
+			forced = gr._expand(forced(RiGrammar.START_RULE), context);
+			this._bind(gr._bindings, context);
+
+			return forced;
+		},
+
+		// Returns the min. # of expansion steps from each rule to 'symbol' (Infinity if none)
+		_distancesTo : function(symbol) {
+
+			var name, alt, syms, i, d, changed = true, dists = {};
+
+			for (name in this._rules)
+				dists[name] = (name === symbol) ? 0 : Infinity;
+
+			while (changed) {
+
+				changed = false;
+				for (name in this._rules) {
+
+					if (name === symbol) continue;
+
+					for (alt in this._rules[name]) {
+
+						syms = this._findSymbols(alt);
+						for (i = 0; i < syms.length; i++) {
+
+							d = dists[syms[i].name] + 1;
+							if (d < dists[name]) {
+								dists[name] = d;
+								changed = true;
+							}
+						}
+					}
+				}
+			}
+
+			return dists;
+		},
+
+		// Returns each rule-symbol occurring in 'prod' as { name, idx, text, transforms },
+		// ordered by index, where 'text' is the reference (including any transforms)
+		_findSymbols : function(prod) {
+
+			var i, j, sub, toks = this._tokenize(prod), idx = 0, result = [];
+
+			for (i = 0; i < toks.length; i++) {
+
+				if (toks[i].type === 'symbol') {
+
+					result.push({ name: toks[i].name, idx: idx, text: toks[i].text,
+						transforms: toks[i].transforms });
+				}
+				else if (toks[i].type === 'bind') { // '[$' + name + '='
+
+					sub = this._findSymbols(toks[i].prod);
+					for (j = 0; j < sub.length; j++)
+						result.push({ name: sub[j].name, idx: idx + toks[i].name.length + 3 + sub[j].idx,
+							text: sub[j].text, transforms: sub[j].transforms });
+				}
+				idx += toks[i].text.length;
+			}
 
-			return (typeof this._rules[name] !== 'undefined');
+			return result;
 		},
-		
-		expandWith : function(literal, symbol) { // TODO: finish 
 
-			var name, gr = this._copy(), match = false;
-			
-			for (name in gr._rules) {
-				
-				if (name===symbol) {
-					
-					var obj = {};
-					obj[literal] = 1.0;
-					gr._rules[name] = obj;
-					match = true;
+		/*
+		 * Splits a production into tokens, each with a 'type' of: 'text', 'symbol'
+		 * (a defined rule, with the 'name' and any 'transforms' that follow it),
+		 * 'bind' ([$name=production]), or 'ref' ($name)
+		 */
+		_tokenize : function(prod) {
+
+			var m, i, k, name, trans, text, last = 0, toks = [], patt = this._tokenPattern();
+
+			k = (patt === RiGrammar.TOKEN_PATT) ? 0 : 2; // the # of groups before TOKEN_PATT's
+
+			patt.lastIndex = 0;
+			while ((m = patt.exec(prod))) {
+
+				text = m[0];
+				name = null;
+
+				if (k && m[1]) { // a rule with any other name (not inside a word)
+
+					if (/^\w/.test(m[1]) && /\w/.test(prod.charAt(m.index - 1))) {
+						patt.lastIndex = m.index + 1;
+						continue;
+					}
+					name = m[1];
+					trans = m[2];
 				}
+				else if (!m[k + 1] && !m[k + 3]) {
+
+					name = text.substring(0, text.length - m[k + 4].length);
+					if (!this.hasRule(name)) continue;
+					trans = m[k + 4];
+				}
+
+				if (name) {
+
+					// only known transforms are consumed, the rest is text
+					trans = trans.split('.').slice(1);
+					i = 0;
+					while (i < trans.length && this._isTransform(trans[i])) i++;
+
+					trans = trans.slice(0, i);
+					text = name + (trans.length ? '.' + trans.join('.') : E);
+				}
+
+				if (m.index > last)
+					toks.push({ type: 'text', text: prod.substring(last, m.index) });
+
+				if (m[k + 1])
+					toks.push({ type: 'bind', text: text, name: m[k + 1], prod: m[k + 2] });
+				else if (m[k + 3])
+					toks.push({ type: 'ref', text: text, name: m[k + 3] });
+				else
+					toks.push({ type: 'symbol', text: text, name: name, transforms: trans });
+
+				last = m.index + text.length;
+				patt.lastIndex = last;
 			}
-			
-			if (!match) 
-				err("Rule '"+symbol+"' not found in grammar");
 
-			// TODO: tmp, awful hack, write this correctly
-			var tries, maxTries = 1000;
-			for (tries = 0 ;tries < maxTries; tries++) {
-				var s = gr.expand();
-				if (s.indexOf(literal)>-1)
-					return s;
+			if (last < prod.length)
+				toks.push({ type: 'text', text: prod.substring(last) });
+
+			return toks;
+		},
+
+		// Returns TOKEN_PATT, or (if there are rules it would not match, e.g., 'pet' or '<big pet>')
+		// a pattern that also matches their names exactly, longest first
+		_tokenPattern : function() {
+
+			var name, names = [];
+
+			if (this._pattern) return this._pattern;
+
+			for (name in this._rules) {
+
+				if (!RiGrammar.NAME_PATT.test(name))
+					names.push(escapeRegExp(name) + (/\w$/.test(name) ? '(?!\\w)' : E));
 			}
-			err("RiGrammar failed to complete after "+tries+" tries\n");
-			
+
+			if (!names.length) return (this._pattern = RiGrammar.TOKEN_PATT);
+
+			names.sort(function(a, b) { return b.length - a.length; });
+
+			return (this._pattern = new RegExp('(' + names.join('|') + ')((?:\\.[A-Za-z_]\\w*)*)|' +
+				RiGrammar.TOKEN_PATT.source, 'g'));
 		},
 		
+		/*
+		 * Expands the grammar from the start rule. Within a single expansion, '[$name=<rule>]'
+		 * binds (and outputs) the expansion of '<rule>' and each later '$name' repeats it.
+		 * @param {object} context (optional) for back-ticked exec calls; also supplies values
+		 * for any '$name' not bound in the grammar, and gets the bound values, as an object
+		 * in context.bindings (see RiGrammar.BINDINGS_KEY), when done
+		 * @returns {string} the expanded text
+		 */
 		expand : function(context) {
 
 			return this.expandFrom(RiGrammar.START_RULE, context);
@@ -3245,63 +5572,422 @@
 		
 		expandFrom : function(rule, context) {
  
+    		this._checkRule(rule);
+
+		    return this._expand(this.doRule(rule) || E, context);
+		},
+
+		/*
+		 * Returns the variables bound with [$name=...] during the last expansion
+		 * (as also returned in the context passed to expand())
+		 * @returns {object} a map from each variable name to its bound text
+		 */
+		getBindings : function() {
+
+			var name, result = {};
+			for (name in this._bindings)
+				result[name] = this._bindings[name];
+			return result;
+		},
+
+		/*
+		 * Expands the grammar subject to constraints, which are checked during the
+		 * derivation, backtracking to other alternatives whenever a choice cannot succeed
+		 * @param {object} constraints with any of: 'syllables' (a target count, or an array
+		 * with one target per line), 'lineBreak' (the line delimiter, default='\n'),
+		 * 'rhyme' (a word the final word must rhyme with), 'maxWords' (the max # of words)
+		 * @param {string} rule (optional, default=<start>) the rule to expand from
+		 * @param {object} context (optional) as for expand()
+		 * @returns {string} the expanded text (back-ticked calls are evaluated after the
+		 * constraints are checked)
+		 */
+		expandConstrained : function(constraints, rule, context) {
+
+			ok(constraints, O);
+
+			rule = rule || RiGrammar.START_RULE;
+			this._checkRule(rule);
+
+			var me = this, steps = 0, cache = {}, result, name,
+				lex = constraints.rhyme ? RiLexicon() : null,
+				lb = constraints.lineBreak || '\n',
+				targets = is(constraints.syllables, N) ? [constraints.syllables] : constraints.syllables;
+
+			var syllables = function(words) {
+
+				var i, w, sum = 0, arr = words.split(/[\s\-]+/);
+				for (i = 0; i < arr.length; i++) {
+
+					w = RiTa.stripPunctuation(arr[i]).toLowerCase();
+					if (!w.length) continue;
+					if (!cache.hasOwnProperty(w))
+						cache[w] = RiTa.getSyllables(w).split(RiTa.SYLLABLE_BOUNDARY).length;
+					sum += cache[w];
+				}
+				return sum;
+			};
+
+			var wordCount = function(text) {
+
+				text = trim(text.split(lb).join(SP));
+				return text.length ? text.split(/\s+/).length : 0;
+			};
+
+			// false if 'text' breaks a constraint (only completed words are checked, unless 'done')
+			var fits = function(text, done) {
+
+				var i, lines, count, words;
+
+				if (targets) {
+
+					lines = text.split(lb);
+					if (lines.length > targets.length || (done && lines.length < targets.length))
+						return false;
+
+					for (i = 0; i < lines.length; i++) {
+
+						if (done || i < lines.length - 1) {
+							if (syllables(lines[i]) !== targets[i]) return false;
+						}
+						else if (syllables(lines[i].replace(/\S*$/, E)) > targets[i]) {
+							return false;
+						}
+					}
+				}
+
+				if (constraints.maxWords && wordCount(text) > constraints.maxWords)
+					return false;
+
+				if (done && lex) {
+
+					words = trim(text).split(/\s+/);
+					if (!lex.isRhyme(RiTa.stripPunctuation(words[words.length - 1]), constraints.rhyme))
+						return false;
+				}
+
+				return true;
+			};
+
+			var search = function(pending, text, vars, depth) {
+
+				var tok, val, alt, res, choices = {}, rest = pending.slice(1);
+
+				if (++steps > RiGrammar.MAX_SEARCH_STEPS || depth > 1000) return null;
+
+				if (!pending.length)
+					return fits(text, true) ? { text: text, vars: vars } : null;
+
+				tok = pending[0];
+
+				if (tok.type === 'symbol') {
+
+					if (constraints.maxWords) { // the text still to come gives a lower bound
+
+						for (var i = 0, later = text; i < pending.length; i++)
+							if (pending[i].type === 'text') later += pending[i].text;
+
+						if (wordCount(later) > constraints.maxWords) return null;
+					}
+
+					for (alt in me._rules[tok.name])
+						choices[alt] = me._rules[tok.name][alt];
+
+					// try each alternative, in (weighted) random order
+					while (okeys(choices).length) {
+
+						alt = me._getStochasticRule(choices);
+						delete choices[alt];
+
+						res = search(me._symbolTokens(tok, alt, text.length).concat(rest), text, vars, depth + 1);
+						if (res) return res;
+					}
+					return null;
+				}
+
+				if (tok.type === 'bind') { // expand, then store the value
+
+					return search(me._tokenize(tok.prod).concat([{ type: 'bound',
+						name: tok.name, start: text.length }], rest), text, vars, depth + 1);
+				}
+
+				if (tok.type === 'transform') {
+
+					text = text.substring(0, tok.start) + me._transform(text.substring(tok.start), tok.transforms);
+					return fits(text, false) ? search(rest, text, vars, depth + 1) : null;
+				}
+
+				if (tok.type === 'bound') {
+
+					val = {};
+					for (name in vars) val[name] = vars[name];
+					val[tok.name] = text.substring(tok.start);
+
+					return search(rest, text, val, depth + 1);
+				}
+
+				text += me._resolveToken(tok, vars, context);
+
+				return fits(text, false) ? search(rest, text, vars, depth + 1) : null;
+			};
+
+			result = search([{ type: 'symbol', text: rule, name: rule, transforms: [] }], E, {}, 0);
+
+			if (!result)
+				err("RiGrammar unable to satisfy constraints: "+JSON.stringify(constraints) +
+					" (after "+steps+" steps)");
+
+			// the text is already expanded, so only the back-ticked calls remain
+			result.text = this._evaluate(result.text, { count: 0, max: 1000, vars: result.vars, context: context });
+			this._bind(result.vars, context);
+
+			return result.text;
+		},
+
+		/*
+		 * Expands the grammar (like expandFrom) but returns the derivation tree, where
+		 * each node has the 'rule' name, the chosen 'alternative' and its 'weight', its
+		 * 'children' and the 'start' and 'end' offsets of its text in the final string
+		 * (the root node also has the final 'text')
+		 * @param {string} rule (optional, default=<start>) the rule to expand from
+		 * @param {object} context (optional) as for expand()
+		 * @returns {object} the root node of the tree, which can be serialized to JSON
+		 */
+		expandTree : function(rule, context) {
+
+			if (!is(rule, S)) {
+				context = rule;
+				rule = RiGrammar.START_RULE;
+			}
+
+			this._checkRule(rule);
+
+			var root = this._treeNode(rule, 0);
+
+			root.text = this._expand(root.alternative, context, root);
+			root.end = root.text !== null ? root.text.length : 0;
+
+			return root;
+		},
+
+		_checkRule : function(rule) {
+
     		if (!okeys(this._rules).length)
 		      err("(RiGrammar) No grammar rules found!");
 		      
 		    if (!this.hasRule(rule))
 		      err("Rule not found: "+rule+"\nRules:\n"+JSON.stringify(this._rules));
+		},
+
+		// Chooses an alternative for 'rule' and returns a new derivation-tree node for it
+		_treeNode : function(rule, start) {
+
+			var alt = this.doRule(rule) || E, w = this._rules[rule][alt];
+
+			return { rule: rule, alternative: alt, weight: isNum(w) ? parseFloat(w) : 0,
+				start: start, end: start, children: [] };
+		},
+
+		// Adjusts tree offsets after the text in [from, to) is replaced with 'len' chars
+		_shiftTree : function(node, from, to, len) {
+
+			var move = function(pos, isEnd) {
+
+				if (pos <= from) return pos;
+				if (pos >= to) return pos + len - (to - from);
+				return isEnd ? from + len : from; // inside the replaced text
+			};
+
+			node.start = move(node.start, false);
+			node.end = move(node.end, true);
+
+			for (var i = 0; i < node.children.length; i++)
+				this._shiftTree(node.children[i], from, to, len);
+		},
+
+		// Expands 'prod', with bound variables kept in 'vars' (not in the context until it is done)
+		_expand : function(prod, context, tree, vars) {
 		    
-		    var parts, theCall, callResult, tries = 0, maxIterations = 1000;
-		    while (++tries < maxIterations)
-		    {
-		      var next = this._expandRule(rule);
- 
- 		      if (next && next.length) { // matched a rule
-		      	
-		        rule = next;
-		        continue;
-		      }
-		      
-		      if (this.execDisabled) break; // return
+		    var result, state = { count: 0, max: 1000, vars: vars || {}, context: context };
+
+		    result = this._evaluate(this._expandTokens(prod, state, tree, 0), state, tree);
+		    this._bind(state.vars, context);
+
+		    return result;
+		},
+
+		// Keeps the variables bound in an expansion for getBindings(), and returns a copy
+		// to the caller in context[RiGrammar.BINDINGS_KEY] (leaving the rest of the context as is)
+		_bind : function(vars, context) {
+
+			this._bindings = vars;
+			if (is(context, O)) context[RiGrammar.BINDINGS_KEY] = this.getBindings();
+		},
+
+		// Evaluates the back-ticked exec calls in the expanded 'prod' (expanding any
+		// symbols they return), then unescapes it, keeping the 'tree' offsets in sync
+		_evaluate : function(prod, state, tree) {
+
+		    var i, parts, theCall, callResult, ents = [], m, rep, holder, context = state.context;
+
+		    while (!this.execDisabled && state.count < state.max) {
 		      
 		      // finished rules, check for back-ticked exec calls
 		      
-		      parts = RiGrammar.EXEC_PATT.exec(rule);
+		      parts = RiGrammar.EXEC_PATT.exec(prod);
 	      
-		      if (!parts || !parts.length) break; // return, no evals
-		      
-		      if (parts.length > 2) {
+		      if (!parts || parts.length < 3) break; // return, no evals
 		        
-		        theCall = parts[2];
+		      theCall = parts[2];
 				
-				if (this._countTicks(theCall) != 2) {
+		      if (this._countTicks(theCall) != 2) {
 				
-					warn("Unable to parse recursive exec: " + theCall + "...");
-					return null;
-				}
+		        warn("Unable to parse recursive exec: " + theCall + "...");
+		        return null;
+		      }
 
-		        callResult = this._handleExec(theCall, context);
+		      callResult = this._handleExec(theCall, context);
+		      state.count++;
 		        
-		        if (!callResult) {
-		          
-		          if (0) log("[WARN] (RiGrammar.expandFrom) Unexpected" +
-		              " state: eval("+theCall+") :: returning '"+rule+"'");
-		          
-		          break; // return
-		        }
+		      if (callResult === null) break; // return
 		        
-		        rule = parts[1] + callResult;
-		            
-		        (parts.length > 3) && (rule += parts[3]);
+		      // the call may return new symbols, so expand them too
+		      holder = tree && { children: [] };
+		      callResult = this._expandTokens(callResult, state, holder, parts[1].length);
+
+		      if (tree) {
+
+		        this._shiftTree(tree, parts[1].length, parts[1].length + theCall.length, callResult.length);
+		        tree.children = tree.children.concat(holder.children).sort(function(a, b) {
+		          return a.start - b.start;
+		        });
 		      }
+
+		      prod = parts[1] + callResult + (parts[3] || E);
 		    }
 		    
-    		if (tries >= maxIterations) 
-		      log("[WARN] max number of iterations reached: "+maxIterations);
-		
-		    return RiTa.unescapeHTML(rule); 
+    		if (state.count >= state.max) 
+		      log("[WARN] max number of iterations reached: "+state.max);
+
+		    if (!tree) return RiTa.unescapeHTML(prod);
+
+		    // unescape one entity at a time (from the end), keeping the offsets in sync
+		    RiGrammar.ENTITY_PATT.lastIndex = 0;
+		    while ((m = RiGrammar.ENTITY_PATT.exec(prod))) ents.push(m);
+
+		    for (i = ents.length - 1; i >= 0; i--) {
+
+		      rep = RiTa.unescapeHTML(ents[i][0]);
+		      this._shiftTree(tree, ents[i].index, ents[i].index + ents[i][0].length, rep.length);
+		      prod = prod.substring(0, ents[i].index) + rep + prod.substring(ents[i].index + ents[i][0].length);
+		    }
+
+		    return prod;
+		},
+
+		// Expands each symbol in 'prod' by exact name (until 'state.max' expansions),
+		// storing [$name=...] bindings in 'state.vars' and substituting $name references;
+		// if a 'parent' node is given, adds a derivation-tree node for each symbol
+		_expandTokens : function(prod, state, parent, offset) {
+
+			var i, tok, val, node, trans, toks = this._tokenize(prod), result = E;
+
+			for (i = 0; i < toks.length; i++) {
+
+				tok = toks[i];
+
+				if (tok.type === 'symbol' && state.count < state.max) {
+
+					state.count++;
+					if (parent) {
+
+						node = this._treeNode(tok.name, offset + result.length);
+						val = this._expandTokens(node.alternative, state, node, node.start);
+
+						if (tok.transforms.length) {
+
+							trans = this._transform(val, tok.transforms);
+							this._retarget(node, val, trans);
+							val = trans;
+						}
+
+						node.end = node.start + val.length;
+						parent.children.push(node);
+					}
+					else {
+
+						val = this._transform(this._expandTokens(this.doRule(tok.name) || E, state), tok.transforms);
+					}
+					result += val;
+				}
+				else if (tok.type === 'bind') {
+
+					val = this._expandTokens(tok.prod, state, parent, offset + result.length);
+					result += (state.vars[tok.name] = val);
+				}
+				else {
+
+					result += this._resolveToken(tok, state.vars, state.context);
+				}
+			}
+
+			return result;
 		},
 		
+		_isTransform : function(name) {
+
+			return RiGrammar.TRANSFORMS.hasOwnProperty(name) || this._funs.hasOwnProperty(name);
+		},
+
+		// Applies each of 'transforms' to 'text' (a function added via addFunction()
+		// takes precedence over a built-in transform of the same name)
+		_transform : function(text, transforms) {
+
+			for (var i = 0; transforms && i < transforms.length; i++) {
+
+				text = String(this._funs.hasOwnProperty(transforms[i]) ? this._funs[transforms[i]](text) :
+					RiGrammar.TRANSFORMS[transforms[i]](text));
+			}
+
+			return text;
+		},
+
+		// Tokenizes 'alt', chosen for the symbol 'tok', followed (if the symbol has transforms)
+		// by a marker to transform the text from 'start' once the alternative is expanded
+		_symbolTokens : function(tok, alt, start) {
+
+			var toks = this._tokenize(alt);
+
+			return tok.transforms.length ? toks.concat([{ type: 'transform',
+				transforms: tok.transforms, start: start }]) : toks;
+		},
+
+		// Adjusts the offsets of the descendants of 'node' after its text is transformed
+		// from 'before' to 'after'
+		_retarget : function(node, before, after) {
+
+			var i, p = 0, s = 0, k = after.length - before.length;
+
+			var move = function(n) {
+				n.start += k;
+				n.end += k;
+				n.children.forEach(move);
+			};
+
+			if (k > 0 && after.substring(k) === before) // a prefix was added, e.g., an article
+				return node.children.forEach(move);
+
+			while (s < before.length && s < after.length &&
+				before.charAt(before.length - 1 - s) === after.charAt(after.length - 1 - s)) s++;
+
+			while (p < before.length - s && p < after.length - s && before.charAt(p) === after.charAt(p)) p++;
+
+			for (i = 0; i < node.children.length; i++) {
+
+				this._shiftTree(node.children[i], node.start + p, node.start + before.length - s,
+					after.length - p - s);
+			}
+		},
+
 		_countTicks : function(theCall) {
 	
 			var count = 0;
@@ -3318,78 +6004,109 @@
 			return this;
 		},
 	 
+		/*
+		 * Registers a function that can be called from back-ticked expressions
+		 * in the grammar, e.g., addFunction('pluralize', RiTa.pluralize) for `pluralize(<noun>)`,
+		 * or used as a transform on a rule reference, e.g., <noun>.pluralize
+		 * @param {string} name the name used in the grammar
+		 * @param {function} fun the function to call
+		 * @returns {object} this RiGrammar
+		 */
+		addFunction : function(name, fun) {
+
+			ok(name, S);
+			ok(fun, F);
+			this._funs[name] = fun;
+			return this;
+		},
+
+		removeFunction : function(name) {
+
+			delete this._funs[name];
+			return this;
+		},
+
+		// Parses and calls a back-ticked expression, without eval; returns null on failure
 		_handleExec : function(input, context) { 
 
-            /*jshint evil:true */
-			//log("_handleExec: "+input+ " "+ (typeof eval));
+			if (!input || !input.length) return null;
+			
+			var res, exec = trim(input.replace(RiGrammar.STRIP_TICKS, '$1')).replace(/;$/, E);
+			
+			try {
+
+				res = this._callFunction(RiGrammar._parseCall(exec), context);
+				return (res === undefined || res === null) ? null : res + E;
+			}
+			catch (e) {
+
+				warn("RiGrammar failed parsing: "+input+"\n  -> "+e.message);
+				return null;
+			}
+		},
+
+		_callFunction : function(call, context) {
+
+			var i, fun, self, args = [], name = call.name;
+
+			for (i = 0; i < call.args.length; i++) {
+
+				args.push(is(call.args[i], O) ?
+					this._callFunction(call.args[i], context) : call.args[i]);
+			}
+
+			// registered functions, then context (or PApplet), then RiGrammar.RITA_FUNCTIONS,
+			// never members inherited from Object.prototype (toString, constructor...)
+			if (this._funs.hasOwnProperty(name) && is(this._funs[name], F)) {
+
+				fun = this._funs[name];
+			}
+			else if ((self = context || RiText._graphics()) && is(self[name], F) &&
+				self[name] !== Object.prototype[name])
+			{
+				fun = self[name];
+			}
+			else if (/^RiTa\./.test(name) && inArray(RiGrammar.RITA_FUNCTIONS, name.substring(5)))
+			{
 
-			if (!input || !input.length) return null;
-			
-			// strip backticks and eval
-			var res, exec = input.replace(RiGrammar.STRIP_TICKS, '$1');
-			
-			try {
-				// TODO: See issue #9 [https://github.com/dhowe/RiTaJS/issues?state=open]
-				// if (typeof module != 'undefined' && module.exports) // for node	 
-				// 		return require("vm").runInThisContext(exec,context);
-				
-				res = eval(exec); // try in global context
-				
-				return res ? res + E : null;	
+				self = RiTa;
+				fun = RiTa[name.substring(5)];
 			}
-			catch (e) {
 
-				// try with the PApplet context
-				// TODO: clean this up
-				// TODO: do we need to explicitly check window[funName] in the browser? 
-				var parts = exec.split('(');
-				if (parts && parts.length == 2) {
-					
-					var funName = parts[0];
-					var argStr = parts[1].replace(/\)/,E);
-					var g = context || RiText._graphics();
-					if (g && g[funName] && is(g[funName],F)) {
-						
-						var args = argStr.split(',');
-						//log("calling "+funName + "("+argStr+");");
-						res = g[funName].apply(g, args);
-						return res ? res + E : null;	
-					}		
-				}
-				
-				warn("RiGrammar failed parsing: "+input+"\n  -> "+e.message);
-				return null;
+			if (!fun) throw Error("No function found: "+name+"()");
+
+			return fun.apply(self, args);
+		},
+
+		// Returns the alternatives of 'rule' with their weights reduced by decay
+		_decayed : function(rule) {
+
+			var alt, w, total = 0, result = {}, used = this._decay.used[rule] || {};
+
+			for (alt in this._rules[rule]) {
+
+				w = parseFloat(this._rules[rule][alt]);
+				result[alt] = used.hasOwnProperty(alt) ? w * used[alt] : w;
+				total += result[alt];
 			}
+
+			return total > 0 ? result : this._rules[rule];
 		},
 
-		_expandRule : function(prod) { 
-			
-			var entry, idx, pre, expanded, post, dbug = 0;
-			
-			if (dbug) log("_expandRule(" + prod + ")");
-			
-			for ( var name in this._rules) {
-				
-				entry = this._rules[name];
-				
-				if (dbug) log("  name=" + name+"  entry=" + entry+"  prod=" + prod+"  idx=" + idx);
-				
-				idx = prod.indexOf(name);
-				
-				if (idx >= 0) {  // got a match, split into 3 parts
-					
-					pre = prod.substring(0, idx) || E;
-					expanded = this.doRule(name) || E;
-					post = prod.substring(idx + name.length) || E;
-					
-					if (dbug) log("  pre=" + pre+"  expanded=" + expanded+
-						"  post=" + post+"  result=" + pre + expanded + post);
-	
-					return pre + expanded + post;
-				}
+		// Lets the alternatives of 'rule' recover, then decays the 'chosen' one
+		_adapt : function(rule, chosen) {
+
+			var alt, d = this._decay, used = d.used[rule] || (d.used[rule] = {});
+
+			for (alt in used) {
+
+				if (!this._rules[rule].hasOwnProperty(alt))
+					delete used[alt];
+				else
+					used[alt] += (1 - used[alt]) * d.recovery;
 			}
-			
-			return null; // no rules matched
+
+			used[chosen] = (used.hasOwnProperty(chosen) ? used[chosen] : 1) * d.factor;
 		},
 
 		// private?? (add structure test case)
@@ -3399,7 +6116,7 @@
 			
 			if (dbug) log("_getStochasticRule(" + temp + ")");
 			
-			var p = Math.random();
+			var p = RiTa.random();
 			var result, total = 0;
 			for (name in temp) {
 				total += parseFloat(temp[name]);
@@ -3850,7 +6567,89 @@
 			return (this.idx < this.tokens.length) ? this.tokens[this.idx++] : null;
 		}
 	};
-	
+
+	/////////////////////////////////////////////////////////////////////////
+	// RandGen (seedable Mersenne-Twister, adapted from M. Matsumoto & T. Nishimura)
+	/////////////////////////////////////////////////////////////////////////
+
+	var RandGen = makeClass();
+
+	RandGen.N = 624;
+	RandGen.M = 397;
+	RandGen.MATRIX_A = 0x9908b0df;
+	RandGen.UPPER_MASK = 0x80000000;
+	RandGen.LOWER_MASK = 0x7fffffff;
+
+	RandGen.prototype = {
+
+		init : function(seed) {
+
+			this.mt = [];
+			this.seed(arguments.length ? seed : Math.floor(Math.random() * 4294967296));
+		},
+
+		// (re)initializes the state from an integer seed (any fractional part is ignored)
+		seed : function(s) {
+
+			var mt = this.mt, N = RandGen.N;
+
+			mt[0] = s >>> 0;
+			for (this.mti = 1; this.mti < N; this.mti++) {
+
+				s = mt[this.mti - 1] ^ (mt[this.mti - 1] >>> 30);
+
+				// 32-bit multiply split into halves to avoid losing precision
+				mt[this.mti] = (((((s & 0xffff0000) >>> 16) * 1812433253) << 16) +
+					(s & 0x0000ffff) * 1812433253) + this.mti;
+				mt[this.mti] >>>= 0;
+			}
+
+			return this;
+		},
+
+		// returns a uniformly-distributed 32-bit unsigned int
+		_nextInt : function() {
+
+			var y, k, mt = this.mt, N = RandGen.N, M = RandGen.M,
+				UM = RandGen.UPPER_MASK, LM = RandGen.LOWER_MASK,
+				mag01 = [0x0, RandGen.MATRIX_A];
+
+			if (this.mti >= N) { // generate N words at once
+
+				for (k = 0; k < N - M; k++) {
+					y = (mt[k] & UM) | (mt[k + 1] & LM);
+					mt[k] = mt[k + M] ^ (y >>> 1) ^ mag01[y & 0x1];
+				}
+				for (; k < N - 1; k++) {
+					y = (mt[k] & UM) | (mt[k + 1] & LM);
+					mt[k] = mt[k + (M - N)] ^ (y >>> 1) ^ mag01[y & 0x1];
+				}
+				y = (mt[N - 1] & UM) | (mt[0] & LM);
+				mt[N - 1] = mt[M - 1] ^ (y >>> 1) ^ mag01[y & 0x1];
+
+				this.mti = 0;
+			}
+
+			y = mt[this.mti++];
+
+			// tempering
+			y ^= (y >>> 11);
+			y ^= (y << 7) & 0x9d2c5680;
+			y ^= (y << 15) & 0xefc60000;
+			y ^= (y >>> 18);
+
+			return y >>> 0;
+		},
+
+		// returns a float in [0,1), like Math.random()
+		random : function() {
+
+			return this._nextInt() * (1.0 / 4294967296.0);
+		}
+	};
+
+	var randGen = RandGen();
+
 	////////////////////////// PRIVATE CLASSES ///////////////////////////////
 	
 
@@ -4003,7 +6802,7 @@
 			probabalisticSelect = probabalisticSelect || false;
 			
 			return (probabalisticSelect ? this._probabalisticSelect(arr) 
-				: arr[Math.floor((Math.random()*arr.length))]);    
+				: arr[Math.floor((RiTa.random()*arr.length))]);    
 		},
 		
 		_probabalisticSelect : function(arr)  {    
@@ -4015,7 +6814,7 @@
 			if (arr.length == 1) return arr[0];
 
 			// select from multiple options based on frequency
-			var pTotal = 0, selector = Math.random();
+			var pTotal = 0, selector = RiTa.random();
 			for ( var i = 0; i < arr.length; i++) {
 				
 				pTotal += arr[i].probability();
@@ -4025,25 +6824,38 @@
 			err("Invalid State in RiTa.probabalisticSelect()");   
 		},
 
-		addChild : function(newToken, initialCount) {
+		addChild : function(newToken, count, source) {
+
+		  return this.child(newToken, true).addCount(count || 1, source);
+		},
+
+		// Returns the child for 'token' (or null), adding it (with a count of 0) if 'create' is true
+		child : function(token, create) {
 
-		  initialCount = initialCount || 1;
+			var key = this._key(token);
 
-		  var key = this._key(newToken), node = this.children[key];
+			if (this.children.hasOwnProperty(key)) return this.children[key];
 
-		  //  add first instance of this token 
-		  if (!node) {
-		  	
-			node = new TextNode(this, newToken);
-			node.count = initialCount;
-			this.children[key] = node;   
-		  }
-		  else {      
-		  	   
-			node.count++;
-		  }
-		  
-		  return node;
+			return create ? (this.children[key] = new TextNode(this, token)) : null;
+		},
+
+		removeChild : function(token) {
+
+			delete this.children[this._key(token)];
+		},
+
+		// Adds to the count, and to the count for 'source' if given
+		addCount : function(amount, source) {
+
+			this.count += amount;
+
+			if (source) {
+
+				this.sources = this.sources || {};
+				this.sources[source] = (this.sources[source] || 0) + amount;
+			}
+
+			return this;
 		},
 		
 		asTree : function(sort) {
@@ -4146,14 +6958,10 @@
 
 		childrenToString : function(textNode, str, depth, sort)  {
 
-		  var i, j, k, mn = textNode, l = [], node = null, indent = "\n";
+		  var i, j, mn = textNode, l = textNode.childNodes(), node = null, indent = "\n";
 		  
 		  sort = sort || false;
 		  
-		  for (k in textNode.children) {
-			  l.push(textNode.children[k]);
-		  }
-		  
 		  if (!l.length) return str;
 		  
 		  if (sort) l.sort();
@@ -4184,10 +6992,7 @@
 			  str += " ["+node.count + ",p=" +//formatter.format
 				(node.probability().toFixed(3)) + "]->{"; 
 			
-			if (node.children)
-			  str = this.childrenToString(node, str, depth+1, sort);  
-			else 
-				str += "}";
+			str = this.childrenToString(node, str, depth+1, sort);
 		  }
 		  
 		  indent = "\n";
@@ -4202,6 +7007,319 @@
 		} 
 	};
 
+	// ////////////////////////////////////////////////////////////
+	// CompactTrie
+	// ////////////////////////////////////////////////////////////
+
+	/*
+	 * A memory-efficient store for a RiMarkov model (see its 'compact' option), with nodes kept
+	 * as indexes into typed arrays, tokens interned as integer ids, and children found by
+	 * hashing (parent, token-id) pairs; the model works with CompactNode views of its nodes
+	 */
+	var CompactTrie = makeClass();
+
+	CompactTrie.prototype = {
+
+		init : function() {
+
+			this.tokens = [];  // token-id -> token
+			this.ids = {};     // key -> token-id
+			this.sources = {}; // node -> { source: count }, for the (few) nodes from named sources
+			this.size = 0;     // # of nodes, including removed ones
+
+			this._allocate(1024);
+			this.add(-1, 'ROOT');
+		},
+
+		root : function() {
+
+			return new CompactNode(this, 0);
+		},
+
+		// Returns the id for a token (or -1 if it is new and 'create' is false)
+		tokenId : function(token, create) {
+
+			var key = (token === null) ? '' : '=' + token; // null marks end-of-input
+
+			if (this.ids.hasOwnProperty(key)) return this.ids[key];
+
+			if (!create) return -1;
+
+			this.tokens.push(token);
+			return (this.ids[key] = this.tokens.length - 1);
+		},
+
+		// Returns the child of node 'parent' for 'token', or -1
+		find : function(parent, token) {
+
+			var a = this.arrays, id, tid = this.tokenId(token), slot;
+
+			if (tid < 0) return -1;
+
+			for (slot = this._hash(parent, tid); (id = this.table[slot]) !== -1; slot = (slot + 1) & this.mask) {
+
+				if (id >= 0 && a.token[id] === tid && a.parent[id] === parent) return id;
+			}
+
+			return -1;
+		},
+
+		// Adds a child (with a count of 0) for 'token' to node 'parent' and returns its id
+		add : function(parent, token) {
+
+			var a, id = this.size++;
+
+			if (id === this.capacity) this._allocate(this.capacity * 2);
+
+			a = this.arrays;
+			a.token[id] = this.tokenId(token, true);
+			a.parent[id] = parent;
+			a.first[id] = a.last[id] = a.next[id] = -1;
+
+			if (parent >= 0) {
+
+				if (a.last[parent] < 0) a.first[parent] = id;
+				else a.next[a.last[parent]] = id;
+				a.last[parent] = id;
+
+				this._index(id);
+			}
+
+			return id;
+		},
+
+		// Returns the # of bytes in the arrays and hash-table (capacity grows by doubling)
+		byteLength : function() {
+
+			var k, sum = this.table.byteLength;
+			for (k in this.arrays) sum += this.arrays[k].byteLength;
+			return sum;
+		},
+
+		// Removes node 'id' (and those below it)
+		remove : function(id) {
+
+			var a = this.arrays, parent = a.parent[id], prev = -1, kid, stack = [id];
+
+			for (kid = a.first[parent]; kid !== id; kid = a.next[kid]) prev = kid;
+
+			if (prev < 0) a.first[parent] = a.next[id];
+			else a.next[prev] = a.next[id];
+			if (a.last[parent] === id) a.last[parent] = prev;
+
+			while (stack.length) {
+
+				id = stack.pop();
+				a.flags[id] |= CompactTrie.REMOVED;
+				this.table[this._slot(id)] = -2;
+				delete this.sources[id];
+
+				for (kid = a.first[id]; kid >= 0; kid = a.next[kid]) stack.push(kid);
+			}
+		},
+
+		_hash : function(parent, tid) {
+
+			return ((parent * 40503 + tid * 65599) >>> 0) & this.mask;
+		},
+
+		_slot : function(id) {
+
+			var slot = this._hash(this.arrays.parent[id], this.arrays.token[id]);
+
+			while (this.table[slot] !== id) slot = (slot + 1) & this.mask;
+
+			return slot;
+		},
+
+		_index : function(id) {
+
+			var slot = this._hash(this.arrays.parent[id], this.arrays.token[id]);
+
+			while (this.table[slot] >= 0) slot = (slot + 1) & this.mask;
+
+			this.table[slot] = id;
+		},
+
+		// (Re)allocates the arrays for 'capacity' nodes, and the hash-table (at most half full)
+		_allocate : function(capacity) {
+
+			var i, k, old = this.arrays;
+
+			this.arrays = {
+				token: new Int32Array(capacity), parent: new Int32Array(capacity),
+				first: new Int32Array(capacity), last: new Int32Array(capacity),
+				next: new Int32Array(capacity), count: new Float64Array(capacity),
+				flags: new Uint8Array(capacity)
+			};
+
+			for (k in old) this.arrays[k].set(old[k]);
+
+			this.capacity = capacity;
+			this.table = new Int32Array(capacity * 2);
+			this.mask = capacity * 2 - 1;
+
+			for (i = 0; i < this.table.length; i++) this.table[i] = -1; // empty (-2 if removed)
+
+			for (i = 1; i < this.size; i++) {
+
+				if (!(this.arrays.flags[i] & CompactTrie.REMOVED)) this._index(i);
+			}
+		}
+	};
+
+	CompactTrie.SENTENCE_START = 1;
+
+	CompactTrie.REMOVED = 2;
+
+	/*
+	 * A view of one node in a CompactTrie, with the same properties and methods as a TextNode
+	 */
+	var CompactNode = makeClass();
+
+	CompactNode.prototype = {
+
+		init : function(trie, id) {
+
+			this.trie = trie;
+			this.id = id;
+		},
+
+		isRoot : function() {
+
+			return this.id === 0;
+		},
+
+		child : function(token, create) {
+
+			var trie = this.trie, id = trie.find(this.id, token);
+
+			// as for TextNode, where both have the key 'null'
+			if (id < 0 && (token === null || token === 'null'))
+				id = trie.find(this.id, token === null ? 'null' : null);
+
+			if (id < 0 && create) id = trie.add(this.id, token);
+
+			return id < 0 ? null : new CompactNode(trie, id);
+		},
+
+		removeChild : function(token) {
+
+			var child = this.child(token);
+			child && this.trie.remove(child.id);
+		},
+
+		lookup : function(obj) {
+
+			if (!obj) return null;
+
+			return this.child((typeof obj != S && obj.token) ? obj.token : obj);
+		},
+
+		selectChild : function(regex, probabalisticSelect) {
+
+			return this._select(this.childNodes(regex), probabalisticSelect || true);
+		},
+
+		// read from the arrays, in the order of a TextNode's children: tokens that are
+		// array indices (e.g., '7') in numeric order, then the rest as they were added
+		childNodes : function(regex) {
+
+			var a = this.trie.arrays, kid, nd, res = [], indices = [];
+
+			regex = is(regex,S) ? new RegExp(regex) : regex;
+
+			for (kid = a.first[this.id]; kid >= 0; kid = a.next[kid]) {
+
+				nd = new CompactNode(this.trie, kid);
+				if (!regex || (nd.token && nd.token.search(regex) > -1))
+					(CompactNode._isIndex(nd.token) ? indices : res).push(nd);
+			}
+
+			return !indices.length ? res : indices.sort(function(x, y) {
+				return x.token - y.token;
+			}).concat(res);
+		},
+
+		isLeaf : function() {
+
+			return this.trie.arrays.first[this.id] < 0;
+		},
+
+		childCount : function() {
+
+			var a = this.trie.arrays, kid, sum = 0;
+
+			for (kid = a.first[this.id]; kid >= 0; kid = a.next[kid]) sum += a.count[kid];
+
+			return sum;
+		},
+
+		uniqueCount : function() {
+
+			var a = this.trie.arrays, kid, sum = 0;
+
+			for (kid = a.first[this.id]; kid >= 0; kid = a.next[kid]) sum++;
+
+			return sum;
+		}
+	};
+
+	// True if 'token' would be an (array index) key that objects order before the others
+	CompactNode._isIndex = function(token) {
+
+		return /^(0|[1-9][0-9]{0,9})$/.test(token) && +token < 4294967295;
+	};
+
+	// the other methods are those of TextNode, which use the properties below
+	okeys(TextNode.prototype).forEach(function(fn) {
+
+		CompactNode.prototype.hasOwnProperty(fn) || (CompactNode.prototype[fn] = TextNode.prototype[fn]);
+	});
+
+	Object.defineProperties(CompactNode.prototype, {
+
+		count : {
+			get : function() { return this.trie.arrays.count[this.id]; },
+			set : function(c) { this.trie.arrays.count[this.id] = c; }
+		},
+
+		token : {
+			get : function() { return this.id ? this.trie.tokens[this.trie.arrays.token[this.id]] : 'ROOT'; }
+		},
+
+		parent : {
+			get : function() { return this.id ? new CompactNode(this.trie, this.trie.arrays.parent[this.id]) : null; }
+		},
+
+		isSentenceStart : {
+			get : function() { return !!(this.trie.arrays.flags[this.id] & CompactTrie.SENTENCE_START); },
+			set : function(b) {
+				var flags = this.trie.arrays.flags;
+				flags[this.id] = b ? flags[this.id] | CompactTrie.SENTENCE_START :
+					flags[this.id] & ~CompactTrie.SENTENCE_START;
+			}
+		},
+
+		sources : {
+			get : function() { return this.trie.sources[this.id]; },
+			set : function(s) {
+				if (s) this.trie.sources[this.id] = s;
+				else delete this.trie.sources[this.id];
+			}
+		},
+
+		// a new { key: node } object on each access (so read-only), not used internally
+		children : {
+			get : function() {
+				var i, nodes = this.childNodes(), kids = {};
+				for (i = 0; i < nodes.length; i++)
+					kids[this._key(nodes[i].token)] = nodes[i];
+				return kids;
+			}
+		}
+	});
+
 	// ////////////////////////////////////////////////////////////
 	// Conjugator
 	// ////////////////////////////////////////////////////////////
@@ -7058,7 +10176,7 @@
 		var len = newArray.length;
 		var i = len;
 		 while (i--) {
-			var p = parseInt(Math.random()*len);
+			var p = parseInt(RiTa.random()*len);
 			var t = newArray[i];
 			newArray[i] = newArray[p];
 			newArray[p] = t;
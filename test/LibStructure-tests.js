@@ -69,6 +69,7 @@ var runtests = function() {
         equal(typeof RiTa.getPhonemes, 'function');
         equal(typeof RiTa.timer, 'function');
         equal(typeof RiTa.random, 'function');
+        equal(typeof RiTa.randomSeed, 'function');
 
         if (typeof window != 'undefined') {
             
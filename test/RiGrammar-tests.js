@@ -138,6 +138,131 @@ var runtests = function() {
         ok(typeof rg._rules['<noun_phrase>'] !== 'undefined');
     });
     
+    var dataDir = (typeof module != 'undefined' && module.exports) ? 'test/data/' : 'data/';
+
+    asyncTest("RiGrammar.load(imports)", function() {
+
+        var rg = new RiGrammar();
+        rg.load({ "@import": { "pal": dataDir + "colors.json", "zoo": dataDir + "animals.json" },
+            "<start>": "a <pal.color> <zoo.animal>" }, function(g) {
+
+            equal(g, rg);
+            ok(rg.ready());
+            ok(rg.hasRule('<pal.color>'));
+            ok(rg.hasRule('<pal.shade>'));
+            ok(rg.hasRule('<pal.start>'));
+            ok(rg.hasRule('<zoo.noun>'));
+            ok(!rg.hasRule('<color>'));
+            ok(!rg.hasRule('@import'));
+            equal(rg.validate().length, 2); // only <pal.start> and <zoo.noun> unreachable
+
+            for (var i = 0; i < 10; i++)
+                ok(/^a (dark|light) (red|blue) (cat|dog)$/.test(rg.expand()));
+
+            start();
+        });
+        ok(!rg.ready());
+    });
+
+    asyncTest("RiGrammar.loadFrom(imports)", function() {
+
+        var rg = new RiGrammar();
+        rg.loadFrom(dataDir + "imports.json", function() {
+
+            ok(rg.ready());
+            equal(rg.count(), 4);
+            ok(/^the (dark|light) (red|blue) <animal>$/.test(rg.expand()));
+
+            var rg2 = new RiGrammar();
+            rg2.loadFrom(dataDir + "imports2.json", function() { // circular import ignored
+
+                ok(rg2.hasRule('<noun>'));
+                deepEqual(Object.keys(rg2._rules['<start>']), ['the <animal>']); // importer wins
+                ok(/^the (cat|dog)$/.test(rg2.expand()));
+                start();
+            });
+        });
+    });
+
+    asyncTest("RiGrammar.load(failedImports)", function() {
+
+        if (RiTa.env() != RiTa.NODE) {
+            ok("Only test missing files in Node");
+            start();
+            return;
+        }
+
+        var tmp = RiTa.SILENT, rg = new RiGrammar(), calls = 0;
+        RiTa.SILENT = true;
+
+        // a load() while imports are pending replaces the earlier one
+        rg.load({ "@import": { "zoo": dataDir + "animals.json" }, "<start>": "first" }, function() {
+            ok(false, "replaced load should not call back");
+        });
+
+        rg.load({ "@import": [ dataDir + "missing.json", dataDir + "kafka.txt" ],
+            "<start>": "a <pal.color>" }, function(g, e) {
+
+            equal(++calls, 1);
+            equal(g, rg);
+            ok(e instanceof Error, String(e));
+            ok(rg.ready());
+            equal(rg.hasRule('<zoo.animal>'), false);
+            deepEqual(Object.keys(rg._rules['<start>']), ['a <pal.color>']);
+
+            rg.loadFrom(dataDir + "missing.json", function(data, e) {
+
+                equal(data, null);
+                ok(e instanceof Error, String(e));
+                RiTa.SILENT = tmp;
+                start();
+            });
+        });
+    });
+
+    test("RiGrammar._resolvePath", function() {
+
+        equal(RiGrammar._resolvePath('', 'a.json'), 'a.json');
+        equal(RiGrammar._resolvePath('g.json', 'a.json'), 'a.json');
+        equal(RiGrammar._resolvePath('data/g.json', 'a.json'), 'data/a.json');
+        equal(RiGrammar._resolvePath('http://x.com/g/g.json', 'a.json'), 'http://x.com/g/a.json');
+        equal(RiGrammar._resolvePath('data/g.json', '/a.json'), '/a.json');
+        equal(RiGrammar._resolvePath('data/g.json', 'http://y.com/a.json'), 'http://y.com/a.json');
+        equal(RiGrammar._namespace('<color>', 'pal'), '<pal.color>');
+        throws(function() { new RiGrammar().load({ "@import": { "a.b": "x.json" } }); });
+    });
+
+    test("RiGrammar.infer", function() {
+
+        var rg = new RiGrammar(), res;
+
+        equal(rg.infer("The old dog slept. The cat slept. A <b> tag."), rg);
+        deepEqual(Object.keys(rg._rules), ["<start>", "<dt>", "<jj>", "<nn>", "<vbd>"]);
+
+        equal(rg.getWeight("<start>", "<dt>.capitalize <jj> <nn> <vbd>."), 1);
+        equal(rg.getWeight("<start>", "<dt>.capitalize <nn> <vbd>."), 1);
+        equal(rg.getWeight("<dt>", "the"), 2);
+        equal(rg.getWeight("<nn>", "cat"), 1);
+        equal(rg.getWeight("<vbd>", "slept"), 2);
+        ok(!rg._rules["<nn>"].hasOwnProperty("tag")); // skipped, has grammar syntax
+        deepEqual(rg.validate(), []);
+
+        for (var i = 0; i < 10; i++) {
+            res = rg.expand();
+            ok(/^The (old )?(dog|cat) slept\.$/.test(res), res);
+        }
+
+        rg.infer(["John likes the dog."]); // adds to the existing rules
+        equal(rg.getWeight("<dt>", "the"), 3);
+        equal(rg.getWeight("<nnp>", "John"), 1); // proper nouns keep their case
+        ok(rg._rules["<start>"].hasOwnProperty("<nnp> <vbz> <dt> <nn>."));
+
+        rg = new RiGrammar().infer("Dogs bark.", "<sentence>");
+        ok(!rg.hasRule("<start>"));
+        ok(rg.hasRule("<sentence>"));
+        equal(rg.expandFrom("<sentence>"), "Dogs bark.");
+    });
+
     test("RiGrammar.addRule", function() {
 
         var rg = new RiGrammar();
@@ -331,6 +456,367 @@ var runtests = function() {
         ok(g < 50 && g > 0,   g + "% (cat =~ 30%)");
     });*/
 
+    test("RiGrammar.expand(seeded)", function() {
+
+        var a = [], b = [], rg = new RiGrammar(sentenceGrammarJSON);
+
+        RiTa.randomSeed(7);
+        for (var i = 0; i < 20; i++)
+            a.push(rg.expand());
+
+        RiTa.randomSeed(7);
+        for (var i = 0; i < 20; i++)
+            b.push(rg.expand());
+
+        deepEqual(a, b);
+    });
+
+    test("RiGrammar.expand(exactNames)", function() {
+
+        var rg = new RiGrammar();
+        rg.addRule("<start>", "<noun-phrase> and <noun>");
+        rg.addRule("<noun>", "dog");
+        rg.addRule("<noun-phrase>", "the cat");
+        for (var i = 0; i < 5; i++)
+            equal(rg.expand(), "the cat and dog");
+
+        // undefined symbols are left as-is
+        rg.reset();
+        rg.addRule("<start>", "a <missing> <n>");
+        rg.addRule("<n>", "dog");
+        equal(rg.expand(), "a <missing> dog");
+
+        // rules with other names are matched exactly (not inside words)
+        rg.reset();
+        rg.addRule("<start>", "the pet ran past the <big pet> on the carpet");
+        rg.addRule("pet", "dog");
+        rg.addRule("<big pet>", "wolf");
+        equal(rg.expand(), "the dog ran past the wolf on the carpet");
+        deepEqual(rg.validate(), []);
+        rg.addRule("<start>", "two pet.pluralize");
+        rg.removeRule("pet");
+        equal(rg.expandFrom("<big pet>"), "wolf");
+        for (var i = 0; i < 5; i++)
+            ok(/^(the pet ran past the wolf on the carpet|two pet\.pluralize)$/.test(rg.expand()));
+        rg.addRule("pet", "dog");
+        for (var i = 0; i < 5; i++)
+            ok(/^(the dog ran past the wolf on the carpet|two dogs)$/.test(rg.expand()));
+
+        // large grammars
+        rg.reset();
+        for (var i = 0; i < 2000; i++)
+            rg.addRule("<r" + i + ">", "w" + i);
+        rg.addRule("<start>", "<r1999> <r0>");
+        equal(rg.expand(), "w1999 w0");
+
+        var tmp = RiTa.SILENT;
+        RiTa.SILENT = true;
+        rg.reset();
+        rg.addRule("<start>", "<start>!");
+        ok(/^(<start>)?!+$/.test(rg.expand()));
+        RiTa.SILENT = tmp;
+    });
+
+    test("RiGrammar.expand(variables)", function() {
+
+        var rg = new RiGrammar(), res, ctx, hero;
+        rg.addRule("<start>", "[$hero=<name>] met <name>. Then $hero left.");
+        rg.addRule("<name>", "Ann | Bob | Cy | Di | Ed");
+
+        for (var i = 0; i < 20; i++) {
+            ctx = {};
+            res = rg.expand(ctx);
+            hero = ctx.bindings.hero;
+            deepEqual(ctx, { bindings: { hero: hero } });
+            deepEqual(rg.getBindings(), ctx.bindings);
+            ok(hero, res);
+            ok(new RegExp("^" + hero + " met \\w+\\. Then " + hero + " left\\.$").test(res), res);
+        }
+
+        // bindings go only in context.bindings, never overwriting the context's functions
+        rg.reset();
+        rg.addRule("<start>", "[$adj=<adj>] `adj()` $adj");
+        rg.addRule("<adj>", "red");
+        ctx = { adj: function() { return 'blue'; } };
+        equal(rg.expand(ctx), "red blue red");
+        equal(rg.expand(ctx), "red blue red");
+        ok(typeof ctx.adj === 'function');
+        deepEqual(ctx.bindings, { adj: 'red' });
+        deepEqual(rg.getBindings(), { adj: 'red' });
+        ctx.bindings.adj = 'green';
+        deepEqual(rg.getBindings(), { adj: 'red' });
+
+        rg.reset();
+        rg.addRule("<start>", "[$full=<first> <last>], or $full, at $place");
+        rg.addRule("<first>", "Ann");
+        rg.addRule("<last>", "Lee");
+        equal(rg.expand(), "Ann Lee, or Ann Lee, at $place");
+        equal(rg.expand({ place: 'home' }), "Ann Lee, or Ann Lee, at home");
+
+        rg.reset();
+        rg.addRule("<start>", "[$who=<name>] saw $who");
+        rg.addRule("<name>", "Ann | Bob");
+        ctx = {};
+        equal(rg.expandWith("Zed", "<name>", ctx), "Zed saw Zed");
+        deepEqual(ctx.bindings, { who: "Zed" });
+        deepEqual(rg.validate(), []);
+
+        // references also resolve inside exec calls
+        rg.reset();
+        rg.addRule("<start>", "[$pet=<pet>] and two `RiTa.pluralize($pet)`");
+        rg.addRule("<pet>", "dog");
+        equal(rg.expand(), "dog and two dogs");
+    });
+
+    test("RiGrammar.expand(transforms)", function() {
+
+        var rg = new RiGrammar();
+
+        rg.addRule("<noun>", "apple");
+        rg.addRule("<start>", "<noun>.articlize");
+        equal(rg.expand(), "an apple");
+
+        rg.addRule("<noun>", "hour");
+        rg.addRule("<noun>", "dog");
+        for (var i = 0; i < 10; i++)
+            ok(/^(an apple|an hour|a dog)$/.test(rg.expand()));
+
+        rg.reset();
+        rg.addRule("<start>", "<noun>.pluralize.capitalize ate <verb>.ed");
+        rg.addRule("<noun>", "woman");
+        rg.addRule("<verb>", "run away");
+        equal(rg.expand(), "Women ate ran away");
+
+        rg.reset();
+        rg.addRule("<start>", "<noun>.capitalize. <noun>.foo and $x.capitalize");
+        rg.addRule("<noun>", "cat");
+        equal(rg.expand(), "Cat. cat.foo and $x.capitalize"); // unknown transforms are text
+
+        rg.addFunction("shout", function(s) { return s.toUpperCase() + '!'; });
+        rg.addFunction("capitalize", function(s) { return 'C' + s; }); // overrides built-in
+        rg.reset();
+        rg.addRule("<start>", "<noun>.shout <noun>.capitalize");
+        rg.addRule("<noun>", "cat");
+        equal(rg.expand(), "CAT! Ccat");
+
+        rg.reset();
+        rg.addRule("<start>", "[$n=<noun>.articlize] and $n");
+        rg.addRule("<noun>", "elk");
+        equal(rg.expand(), "an elk and an elk");
+        equal(rg.count(), 1);
+        equal(rg.enumerate().next().value, "an elk and an elk");
+        equal(rg.expandConstrained({ maxWords: 5 }), "an elk and an elk");
+        throws(function() { rg.expandConstrained({ maxWords: 4 }); });
+        deepEqual(rg.validate(), []);
+
+        rg.reset();
+        rg.addRule("<start>", "I saw <np>.articlize");
+        rg.addRule("<np>", "<adj> <noun>.pluralize");
+        rg.addRule("<adj>", "old");
+        rg.addRule("<noun>", "ox");
+        equal(rg.expandWith("elk", "<noun>"), "I saw an old elks");
+
+        var tree = rg.expandTree();
+        equal(tree.text, "I saw an old oxen");
+        var np = tree.children[0];
+        equal(tree.text.substring(np.start, np.end), "an old oxen");
+        equal(tree.text.substring(np.children[0].start, np.children[0].end), "old");
+        equal(tree.text.substring(np.children[1].start, np.children[1].end), "oxen");
+
+        // transforms apply to the forced part once it is fully expanded
+        rg = new RiGrammar({ "<start>": "I saw <np>.articlize", "<np>": "<adj> <noun>",
+            "<adj>": "big", "<noun>": "dog" });
+        equal(rg.expandWith("emu", "<noun>"), "I saw a big emu");
+
+        rg = new RiGrammar({ "<start>": "<np>.capitalize walked.", "<np>": "the <noun>", "<noun>": "dog" });
+        equal(rg.expandWith("screams", "<noun>"), "The screams walked.");
+
+        rg = new RiGrammar({ "<start>": "<np>.capitalize.articlize walked.", "<np>": "<noun>", "<noun>": "dog" });
+        equal(rg.expandWith("owl", "<noun>"), "an Owl walked.");
+    });
+
+    test("RiGrammar.expandTree", function() {
+
+        var rg = new RiGrammar(), tree, check;
+        rg.addRule("<start>", "the <pet> &amp; `RiTa.upperCaseFirst(<pet>)` <verb>");
+        rg.addRule("<pet>", "<bird> [2] | <mammal>");
+        rg.addRule("<bird>", "hawk | crow");
+        rg.addRule("<mammal>", "dog");
+        rg.addRule("<verb>", "ran");
+
+        check = function(node) { // children lie within their parent
+            for (var i = 0; i < node.children.length; i++) {
+                ok(node.children[i].start >= node.start && node.children[i].end <= node.end);
+                check(node.children[i]);
+            }
+        };
+
+        for (var i = 0; i < 10; i++) {
+
+            tree = rg.expandTree();
+            ok(/^the (hawk|crow|dog) & (Hawk|Crow|Dog) ran$/.test(tree.text), tree.text);
+            equal(tree.rule, "<start>");
+            equal(tree.start, 0);
+            equal(tree.end, tree.text.length);
+            equal(tree.children.length, 3);
+            check(tree);
+
+            var pet = tree.children[0], pet2 = tree.children[1], verb = tree.children[2];
+            equal(pet.rule, "<pet>");
+            equal(tree.text.substring(pet.start, pet.end), tree.text.split(' ')[1]);
+            ok(pet.weight === 2 || pet.weight === 1);
+            equal(pet.children.length, 1);
+            ok(pet.children[0].rule === "<bird>" || pet.children[0].rule === "<mammal>");
+            equal(tree.text.substring(pet2.start, pet2.end), tree.text.split(' ')[3]);
+            equal(verb.rule, "<verb>");
+            equal(verb.alternative, "ran");
+            equal(tree.text.substring(verb.start, verb.end), "ran");
+
+            deepEqual(JSON.parse(JSON.stringify(tree)), tree);
+        }
+
+        tree = rg.expandTree("<mammal>");
+        deepEqual(tree, { rule: "<mammal>", alternative: "dog", weight: 1,
+            start: 0, end: 3, children: [], text: "dog" });
+
+        throws(function() { rg.expandTree("<missing>"); });
+    });
+
+    test("RiGrammar.expandConstrained", function() {
+
+        var countSyllables = function(line) {
+            var words = RiTa.tokenize(line), sum = 0;
+            for (var i = 0; i < words.length; i++)
+                sum += RiTa.getSyllables(words[i]).split('/').length;
+            return sum;
+        };
+
+        var rg = new RiGrammar({
+            "<start>" : "<line> % <line> % <line>",
+            "<line>" : "<word> | <word> <line>",
+            "<word>" : "red | sky | dawn | river | mountain | yesterday | cherry blossom"
+        });
+
+        for (var i = 0; i < 5; i++) {
+            var lines = rg.expandConstrained({ syllables: [5, 7, 5], lineBreak: '%' }).split('%');
+            equal(lines.length, 3);
+            deepEqual(lines.map(countSyllables), [5, 7, 5], lines.join('/'));
+        }
+
+        equal(countSyllables(rg.expandConstrained({ syllables: 4 }, "<line>")), 4);
+
+        rg = new RiGrammar({
+            "<start>" : "the <noun> saw the <noun> | <start> again",
+            "<noun>" : "cat | dog | hat [.01] | tree | bird"
+        });
+
+        for (var i = 0; i < 5; i++) {
+            var res = rg.expandConstrained({ rhyme: 'bat', maxWords: 5 });
+            ok(/^the \w+ saw the (cat|hat)$/.test(res), res);
+        }
+
+        rg = new RiGrammar({ "<start>" : "[$a=<noun>] and $a", "<noun>" : "cat | dog" });
+        var ctx = {};
+        equal(rg.expandConstrained({ rhyme: 'bat' }, null, ctx), "cat and cat");
+        deepEqual(ctx, { bindings: { a: "cat" } });
+        deepEqual(rg.getBindings(), { a: "cat" });
+
+        // the expanded text is not expanded again
+        rg = new RiGrammar({ "<start>" : "a $x `mark(\"<noun>\")`", "<noun>" : "cat" });
+        rg.addFunction('mark', function(s) { return '[' + s + ']'; });
+        equal(rg.expandConstrained({ maxWords: 4 }, null, { x: "<noun>" }), "a <noun> [cat]");
+
+        throws(function() { rg.expandConstrained({ rhyme: 'orange' }); });
+        throws(function() { rg.expandConstrained({ maxWords: 2 }); });
+        throws(function() { rg.expandConstrained(); });
+    });
+
+    test("RiGrammar.count", function() {
+
+        var rg = new RiGrammar(sentenceGrammarJSON);
+        equal(rg.count(), 20); // (2 dets * 2 nouns) * (1 + 2 * 2)
+        equal(rg.count("<noun_phrase>"), 4);
+        equal(rg.count("<verb>"), 1);
+
+        rg.addRule("<noun>", "<noun> and <noun>");
+        equal(rg.count(), Infinity);
+
+        rg = new RiGrammar();
+        rg.addRule("<start>", "a | <loop> | [$x=<b>] $x");
+        rg.addRule("<loop>", "<loop> again");
+        rg.addRule("<b>", "b | c");
+        equal(rg.count(), 3);
+
+        throws(function() { rg.count("<missing>"); });
+    });
+
+    test("RiGrammar.enumerate", function() {
+
+        var rg = new RiGrammar(sentenceGrammarJSON), it, res, all = [];
+
+        it = rg.enumerate();
+        while (!(res = it.next()).done)
+            all.push(res.value);
+
+        equal(all.length, 20);
+        equal(all[0], "a woman shoots.");
+        for (var i = 0; i < all.length; i++) {
+            ok(/^(a|the) (wo)?man shoots( (a|the) (wo)?man)?\.$/.test(all[i]), all[i]);
+            equal(all.indexOf(all[i]), i); // distinct
+        }
+
+        it = rg.enumerate("<noun_phrase>", 3);
+        equal(it.next().value, "a woman");
+        equal(it.next().value, "a man");
+        equal(it.next().value, "the woman");
+        ok(it.next().done);
+
+        // recursive grammars are enumerated lazily, depth-first
+        rg = new RiGrammar({ "<start>": "<w> | <w> <start>", "<w>": "x | y" });
+        all = [];
+        it = rg.enumerate(null, 7);
+        while (!(res = it.next()).done)
+            all.push(res.value);
+        deepEqual(all, ["x", "y", "x x", "x y", "x x x", "x x y", "x x x x"]);
+
+        // including left-recursive ones
+        rg = new RiGrammar({ "<start>": "<start> a | b" });
+        it = rg.enumerate();
+        for (i = 0, all = []; i < 4; i++)
+            all.push(it.next().value);
+        deepEqual(all, ["b", "b a", "b a a", "b a a a"]);
+
+        rg = new RiGrammar({ "<start>": "<list>.", "<list>": "<list>, <item> | <item>", "<item>": "x | <list>" });
+        all = [];
+        it = rg.enumerate(null, 5);
+        while (!(res = it.next()).done)
+            all.push(res.value);
+        deepEqual(all, ["x.", "x, x.", "x, x, x.", "x, x, x, x.", "x, x, x, x, x."]);
+
+        rg = new RiGrammar({ "<start>": "<start> | a" });
+        all = [];
+        it = rg.enumerate();
+        while (!(res = it.next()).done)
+            all.push(res.value);
+        deepEqual(all, ["a"]);
+
+        // wide grammars return their first expansions without visiting the others (10^7 here)
+        rg = new RiGrammar({ "<start>": "<r0> <r1> <r2> <r3> <r4> <r5> <r6>" });
+        for (i = 0; i < 7; i++)
+            rg.addRule("<r" + i + ">", "a" + i + " | b" + i + " | c" + i + " | d" + i + " | e" + i +
+                " | f" + i + " | g" + i + " | h" + i + " | i" + i + " | j" + i);
+        it = rg.enumerate(null, 2);
+        equal(it.next().value, "a0 a1 a2 a3 a4 a5 a6");
+        equal(it.next().value, "a0 a1 a2 a3 a4 a5 b6");
+        ok(it.next().done);
+
+        rg = new RiGrammar({ "<start>": "[$a=<w>] $a", "<w>": "x | y" });
+        it = rg.enumerate();
+        equal(it.next().value, "x x");
+        equal(it.next().value, "y y");
+        ok(it.next().done);
+    });
+
     test("RiGrammar.expandFrom", function() {
 
         var rg = new RiGrammar();
@@ -390,6 +876,93 @@ var runtests = function() {
 		equal(rg.getGrammar(), e);
 	});
         
+	test("RiGrammar.validate", function() {
+
+		var rg = new RiGrammar(sentenceGrammarJSON), probs;
+		deepEqual(rg.validate(), []);
+		deepEqual(rg.validate(true), []);
+
+		var types = function(probs) {
+			return probs.map(function(p) { return p.type + ':' + p.rule; }).sort();
+		};
+
+		rg = new RiGrammar();
+		rg.addRule("<start>", "the <pet> <verb> | `fun(<pet>) [2]");
+		rg.addRule("<pet>", "dog [x] | cat [1.2.3]");
+		rg.addRule("<loop>", "<loop> again");
+		rg.addRule("<island>", "alone");
+
+		probs = rg.validate();
+		deepEqual(types(probs), [
+			'bad-weight:<pet>', 'bad-weight:<pet>', 'non-terminating:<loop>',
+			'unbalanced-ticks:<start>', 'undefined-symbol:<start>',
+			'unreachable:<island>', 'unreachable:<loop>'
+		]);
+
+		for (var i = 0; i < probs.length; i++) {
+			if (probs[i].type === 'undefined-symbol') {
+				equal(probs[i].alternative, "the <pet> <verb>");
+				equal(probs[i].offset, 10);
+				ok(probs[i].message.indexOf('<verb>') > -1);
+			}
+		}
+
+		throws(function() { rg.validate(true); });
+
+		rg = new RiGrammar();
+		rg.addRule("<a>", "b");
+		deepEqual(types(rg.validate()), ['missing-start:<start>']);
+	});
+
+	test("RiGrammar.toJSON", function() {
+
+		var weights = function(rg) { // normalize string/number weights
+			var res = {};
+			for (var name in rg._rules) {
+				res[name] = {};
+				for (var alt in rg._rules[name])
+					res[name][alt] = parseFloat(rg._rules[name][alt]);
+			}
+			return res;
+		};
+
+		var rg = new RiGrammar(sentenceGrammarJSON), json = JSON.stringify(rg);
+		deepEqual(rg.toJSON(), {
+			"<start>" : "<noun_phrase> <verb_phrase>.",
+			"<noun_phrase>" : "<determiner> <noun>",
+			"<verb_phrase>" : [ "<verb>", "<verb> <noun_phrase> [.1]" ],
+			"<determiner>" : [ "a [.1]", "the" ],
+			"<noun>" : [ "woman", "man" ],
+			"<verb>" : "shoots"
+		});
+		deepEqual(RiGrammar(json), rg);
+
+		rg = new RiGrammar();
+		rg.addRule("<start>", "<pet> and a &#124; b");
+		rg.addRule("<pet>", "dog", .3).addRule("<pet>", "cat", 2).addRule("<pet>", "rat", 1e-7);
+		rg.addRule("<bar>", ["a | b"]);
+		rg.removeRule("<bar>");
+
+		deepEqual(weights(RiGrammar(rg.toJSON())), weights(rg));
+		deepEqual(RiGrammar(rg.toJSON()).toJSON(), rg.toJSON());
+		equal(JSON.stringify(RiGrammar(json)), json);
+
+		// nested in another object, the grammar is serialized once, as an object
+		deepEqual(JSON.parse(JSON.stringify({ grammar: rg })).grammar, rg.toJSON());
+	});
+
+	test("RiGrammar.toYAML", function() {
+
+		var rg = new RiGrammar(sentenceGrammarJSON), yaml = rg.toYAML();
+
+		equal(yaml.split('\n')[0], '"<start>": "<noun_phrase> <verb_phrase>."');
+		ok(yaml.indexOf('"<verb_phrase>":\n  - "<verb>"\n  - "<verb> <noun_phrase> [.1]"\n') > -1, yaml);
+
+		if (!WITHOUT_YAML) {
+			deepEqual(RiGrammar(yaml), rg);
+		}
+	});
+
    test("RiGrammar.hasRule", function() {
 
         var g = [ new RiGrammar(sentenceGrammarJSON), new RiGrammar(sentenceGrammarJSON2) ];
@@ -428,6 +1001,67 @@ var runtests = function() {
 		}
     });
 
+    test("RiGrammar.getWeight/setWeight", function() {
+
+        var rg = new RiGrammar(sentenceGrammarJSON);
+
+        equal(rg.getWeight("<determiner>", "a"), .1);
+        equal(rg.getWeight("<determiner>", "the"), 1);
+        equal(rg.getWeight("<verb>", "shoots"), 1);
+
+        equal(rg.setWeight("<determiner>", "a", 2.5), rg);
+        equal(rg.getWeight("<determiner>", "a"), 2.5);
+        ok(JSON.stringify(rg).indexOf('a [2.5]') > -1);
+        deepEqual(rg.validate(), []);
+
+        rg.setWeight("<noun>", "man", 1e-9);
+        for (var i = 0; i < 20; i++)
+            equal(rg.expandFrom("<noun>"), "woman");
+
+        throws(function() { rg.getWeight("<nothing>", "a"); });
+        throws(function() { rg.getWeight("<determiner>", "a [.1]"); });
+        throws(function() { rg.setWeight("<determiner>", "the", 0); });
+        throws(function() { rg.setWeight("<determiner>", "the", -1); });
+        throws(function() { rg.setWeight("<determiner>", "the", "2"); });
+    });
+
+    test("RiGrammar.setDecay", function() {
+
+        var i, last, res, counts = {}, rg = new RiGrammar();
+
+        RiTa.randomSeed(42);
+
+        rg.addRule("<start>", "a | b | c");
+
+        equal(rg.setDecay(0), rg); // no back-to-back repeats
+        for (i = 0; i < 100; i++) {
+            res = rg.expand();
+            notEqual(res, last);
+            last = res;
+        }
+
+        rg.setDecay(.1, .01); // slow recovery: cycles through all alternatives
+        res = [];
+        for (i = 0; i < 30; i++)
+            res.push(rg.expand());
+        for (i = 0; i < res.length - 2; i++)
+            ok(res[i] !== res[i + 1] || res[i] !== res[i + 2]);
+
+        rg.setDecay(1); // off
+        rg.setWeight("<start>", "a", 1000);
+        for (i = 0; i < 20; i++)
+            counts[rg.expand()] = true;
+        deepEqual(counts, { a: true });
+
+        rg.reset().addRule("<start>", "only");
+        rg.setDecay(0);
+        equal(rg.expand(), "only");
+        equal(rg.expand(), "only");
+
+        throws(function() { rg.setDecay(-1); });
+        throws(function() { rg.setDecay(.5, 2); });
+    });
+
     test("RiGrammar.reset", function() {
 
         var rg = new RiGrammar();
@@ -521,8 +1155,25 @@ var runtests = function() {
         }
         equal(missed, false);
 
+        // deep and low-weighted symbols are still always reached
+        rg.reset();
+        rg.addRule("<start>", "<a> [100] | <b> [.01]");
+        rg.addRule("<a>", "done");
+        rg.addRule("<b>", "the <c> | <b> again");
+        rg.addRule("<c>", "<d>");
+        rg.addRule("<d>", "deep [100] | <target> [.001]");
+        rg.addRule("<target>", "never");
 
-        //equal("TODO: MORE TESTS HERE");
+        for ( var i = 0; i < 20; i++) {
+            var r = rg.expandWith("found", "<target>");
+            equal(r, "the found");
+        }
+
+        equal(rg.expandWith("start", "<start>"), "start");
+
+        rg.addRule("<island>", "unreachable");
+        throws(function() { rg.expandWith("x", "<island>"); });
+        throws(function() { rg.expandWith("x", "<missing>"); });
     });
     
       
@@ -806,44 +1457,35 @@ var runtests = function() {
 		rg.execDisabled = false;
 		ok(rg); 
 
-		if (typeof module == 'undefined') { // for node-issue #9
-
-	        rg.addRule("<start>", "<first> | <second>");
-	        rg.addRule("<first>", "the <pet> <action> were `temp()`");
-	        rg.addRule("<second>", "the <action> of the `temp()` <pet>");
-	        rg.addRule("<pet>", "<bird> | <mammal>");
-	        rg.addRule("<bird>", "hawk | crow");
-	        rg.addRule("<mammal>", "dog");
-	        rg.addRule("<action>", "cries | screams | falls");
-	
-	        for ( var i = 0; i < 10; i++) {
-	        	
-	        	// TODO: fails in NODE  ??
-	        	// The "this" value passed to eval must be the global object from which eval originated ?
-	        	
-	            var res = rg.expand();
-	            //console.log(res);
-	            ok(res && !res.match("`") && res.match(/(hot|cold)/));
-	        }
-	    }
+		rg.addFunction('temp', function() { return Math.random() < .5 ? 'hot' : 'cold'; });
+		rg.addRule("<start>", "<first> | <second>");
+		rg.addRule("<first>", "the <pet> <action> were `temp()`");
+		rg.addRule("<second>", "the <action> of the `temp()` <pet>");
+		rg.addRule("<pet>", "<bird> | <mammal>");
+		rg.addRule("<bird>", "hawk | crow");
+		rg.addRule("<mammal>", "dog");
+		rg.addRule("<action>", "cries | screams | falls");
+
+		for ( var i = 0; i < 10; i++) {
+			var res = rg.expand();
+			//console.log(res);
+			ok(res && !res.match("`") && res.match(/(hot|cold)/));
+		}
     });
         
 	var newruleg = { '<start>' : 'The <noun> chased the `newrule("<noun>")`.', '<noun>' : 'dog | cat | mouse', '<verb>' : 'rhino'  };
      
-    // TODO: fails in NODE/phantomJS ?
 	test("RiGrammar.exec2", function() {
 	
 		var rg = new RiGrammar(newruleg);
 		rg.execDisabled = false;
 		ok(rg); 
 
-		if (typeof module == 'undefined') { // for node-issue #9
-
-	        for ( var i = 0; i < 10; i++) {
-	            var res = rg.expand();
-	        	ok(res && res.match(/ chased the rhino\./g));
-	        }
-	    }
+		rg.addFunction('newrule', function(noun) { return '<verb>'; });
+		for ( var i = 0; i < 10; i++) {
+			var res = rg.expand();
+			ok(res && res.match(/ chased the rhino\./g));
+		}
 	});
 	
 	test("RiGrammar.execArgs", function() { 
@@ -852,33 +1494,102 @@ var runtests = function() {
 		rg.execDisabled = false;
 		ok(rg); 
 
-		if (typeof module == 'undefined') { // for node-issue #9
-			
-			rg.addRule("<start>", "`getFloat()`");
-			for (var i = 0; i < 10; i++) {
-			
-			  var res = rg.expandFrom("<start>", this);
-			  ok(res && res.length && parseFloat(res));
-			}
-			
-			rg.reset();
-			rg.addRule("<start>", "`adj(2)`");
-			for (var i = 0; i < 10; i++) {
-	
-				var res = rg.expandFrom("<start>", this);
-				ok(res && res.length && res==="number");
-			}
-	
-			rg.reset();
-			rg.addRule("<start>", "`adj(true)`");
-			for (var i = 0; i < 10; i++) {
-	
-				var res = rg.expandFrom("<start>", this);
-				//System.out.println(i + ")" + res);
-				ok(res==="boolean");
-			}
+		var context = {
+			getFloat : function() { return Math.random(); },
+			adj : function(a) { return typeof a; }
+		};
+
+		rg.reset();
+		rg.addRule("<start>", "`getFloat()`");
+		for (var i = 0; i < 10; i++) {
+		
+		  var res = rg.expandFrom("<start>", context);
+		  ok(res && res.length && parseFloat(res));
+		}
+		
+		rg.reset();
+		rg.addRule("<start>", "`adj(2)`");
+		for (var i = 0; i < 10; i++) {
+
+			var res = rg.expandFrom("<start>", context);
+			ok(res && res.length && res==="number");
+		}
+
+		rg.reset();
+		rg.addRule("<start>", "`adj(true)`");
+		for (var i = 0; i < 10; i++) {
+
+			var res = rg.expandFrom("<start>", context);
+			//System.out.println(i + ")" + res);
+			ok(res==="boolean");
 		}
 
+		rg.reset();
+		rg.addRule("<start>", "`adj('a, b')`");
+		equal(rg.expandFrom("<start>", context), "string");
+	});
+
+	test("RiGrammar.addFunction", function() {
+
+		var rg = new RiGrammar();
+		rg.addRule("<start>", "two `RiTa.pluralize(<noun>)`");
+		rg.addRule("<noun>", "dog");
+		equal(rg.expand(), "two dogs");
+
+		rg.removeRule("<start>");
+		rg.addFunction('join', function(a, b, c) { return [a, b, c].join('-'); });
+		rg.addRule("<start>", "`join(\"x, y\", RiTa.upperCaseFirst(RiTa.pluralize(<noun>)), 3);`");
+		equal(rg.expand(), "x, y-Dogs-3");
+
+		rg.reset();
+		rg.addFunction('empty', function() { return ''; });
+		rg.addRule("<start>", "a`empty()`b");
+		equal(rg.expand(), "ab");
+
+		// no eval: unregistered globals & private RiTa functions are not called
+		var tmp = RiTa.SILENT;
+		RiTa.SILENT = true;
+		rg.reset();
+		rg.addRule("<start>", "`parseInt('3')`");
+		equal(rg.expand(), "`parseInt('3')`");
+		rg.reset().addRule("<start>", "`RiTa._titleCase('a')`");
+		equal(rg.expand(), "`RiTa._titleCase('a')`");
+		rg.reset().removeFunction('empty').addRule("<start>", "a`empty()`b");
+		equal(rg.expand(), "a`empty()`b");
+
+		// nor are members inherited from Object.prototype
+		rg.reset().addRule("<start>", "5 `toString()`");
+		equal(rg.expand(), "5 `toString()`");
+		rg.reset().addRule("<start>", "`constructor('a')`");
+		equal(rg.expand({}), "`constructor('a')`");
+		rg.reset().addRule("<start>", "`RiTa.hasOwnProperty('env')`");
+		equal(rg.expand(), "`RiTa.hasOwnProperty('env')`");
+
+		// and only RiTa's text functions, no loaders, timers, events or seeding
+		var calls = ["RiTa.loadString('/etc/hostname')", "RiTa.loadStrings('test/data/kafka.txt')",
+			"RiTa.randomSeed(1)", "RiTa.timer(1)", "RiTa.fireDataLoaded('x')", "RiTa.env()"];
+		for (var i = 0; i < calls.length; i++) {
+			rg.reset().addRule("<start>", "a `" + calls[i] + "`");
+			equal(rg.expand(), "a `" + calls[i] + "`");
+		}
+		rg.reset().addRule("<start>", "`RiTa.singularize('dogs')` `RiTa.stem('running')`");
+		equal(rg.expand(), "dog run");
+		RiTa.SILENT = tmp;
+
+		throws(function() { rg.addFunction('bad', 'notAFunction'); });
+	});
+
+	test("RiGrammar.parseCall", function() {
+
+		deepEqual(RiGrammar._parseCall("fun()"), { name: 'fun', args: [] });
+		deepEqual(RiGrammar._parseCall("a.b.fun(1, 'two', \"th,ree\", true, null, big dog)"),
+			{ name: 'a.b.fun', args: [1, 'two', 'th,ree', true, null, 'big dog'] });
+		deepEqual(RiGrammar._parseCall("f(g(h()), 'it\\'s')"),
+			{ name: 'f', args: [{ name: 'g', args: [{ name: 'h', args: [] }] }, "it's"] });
+
+		throws(function() { RiGrammar._parseCall("1 + 2"); });
+		throws(function() { RiGrammar._parseCall("f('a'"); });
+		throws(function() { RiGrammar._parseCall("f(a) + g(b)"); });
 	});
 }
 
@@ -133,6 +133,89 @@ var runtests = function() {
 		ok(rm.size() == tokens.length);
 	});
 
+	test("RiMarkov(compact)", function() {
+
+		var i, rm, objs, res = [], models = [];
+
+		var root = new RiMarkov(3, true, true, true).root;
+		ok(root.isRoot() && root.isLeaf());
+		var a = root.addChild("I"), b = root.addChild("I"), c = root.addChild("J");
+		equal(root.lookup("I").count, 2);
+		equal(b.probability(), 2 / 3);
+		equal(c.siblingCount(), 3);
+		equal(root.uniqueCount(), 2);
+		ok(!a.isRoot() && a.isLeaf() && !root.isLeaf());
+		deepEqual(root.childNodes().map(function(n) { return n.token; }), ["I", "J"]);
+		a.addChild(null);
+		equal(a.lookup("null").token, null);
+		root.removeChild("I");
+		equal(root.lookup("I"), null);
+		equal(root.childCount(), 1);
+
+		for (i = 0; i < 2; i++) {
+
+			rm = new RiMarkov(3, true, true, i > 0);
+			equal(rm.isCompact, i > 0);
+			rm.loadText(sample, 1, null, "sample");
+			rm.loadText("The dog ran home. The dog ate food.", 2.5, null, "dogs");
+			models.push(rm);
+
+			RiTa.randomSeed(42);
+			res.push([rm.generateSentences(3), rm.generateTokens(10), rm.getProbabilities(["I", "did"]),
+				rm.getSources(["The", "dog"]), rm.score("I did not want to be.").perplexity]);
+			rm.unload("dogs");
+		}
+
+		deepEqual(res[1], res[0]);
+		equal(models[1].root.asTree(), models[0].root.asTree());
+
+		objs = models.map(function(m) {
+			var data = m.toCompactJSON();
+			delete data.isCompact;
+			return data;
+		});
+		deepEqual(objs[1], objs[0]);
+
+		rm = RiMarkov.fromJSON(JSON.stringify(models[1]));
+		ok(rm.isCompact);
+		equal(JSON.stringify(rm), JSON.stringify(models[1]));
+		ok(!RiMarkov.fromJSON(models[0].toJSON()).isCompact);
+	});
+
+	test("RiMarkov(compact equivalence)", function() {
+
+		var i, j, rm, trie, res = [], orders = [], models = [];
+		var text = sample + " " + sample2 + " There were 10 dogs, 2 cats and 1 bird.";
+
+		for (i = 0; i < 2; i++) {
+
+			rm = new RiMarkov(4, true, true, i > 0);
+			rm.loadText(text);
+			models.push(rm);
+
+			res[i] = [];
+			for (j = 0; j < 2; j++) {
+				rm.useSmoothing(j > 0);
+				RiTa.randomSeed(7);
+				res[i].push(rm.generateSentences(5), rm.generateTokens(20), rm.generateTokens(8, { seed: "I" }),
+					rm.getProbabilities("There were"), rm.getProbabilities(["I"]), rm.getCompletions(["I"], ["."]));
+			}
+
+			rm = new RiMarkov(2, false, true, i > 0);
+			rm.loadTokens(["b", "10", "a", "2", "b", "0", "10"]);
+			orders.push(rm.root.childNodes().map(function(n) { return n.token; }));
+		}
+
+		deepEqual(res[1], res[0]);
+		deepEqual(orders[1], orders[0]);
+		deepEqual(orders[0], ["0", "2", "10", "b", "a"]);
+
+		// 37 bytes per allocated node, so fewer than 64 bytes per node in use
+		trie = models[1].root.trie;
+		equal(trie.byteLength(), trie.capacity * 37);
+		ok(trie.size > 500 && trie.byteLength() / trie.size < 64);
+	});
+
 	test("RiMarkov.findNode", function() {
 
 		var tokens = RiTa.tokenize('the dog ate the boy the');
@@ -310,6 +393,546 @@ var runtests = function() {
 
 	});
 
+	test("RiMarkov.generate(seeded)", function() {
+
+		var rm = new RiMarkov(3);
+		rm.loadText(sample);
+
+		RiTa.randomSeed(99);
+		var toks = rm.generateTokens(10), sents = rm.generateSentences(2);
+
+		RiTa.randomSeed(99);
+		deepEqual(rm.generateTokens(10), toks);
+		deepEqual(rm.generateSentences(2), sents);
+	});
+
+	test("RiMarkov.toJSON/fromJSON", function() {
+
+		var i, json, copy, rm = new RiMarkov(3, true, false);
+		rm.useSmoothing(true);
+		rm.minSentenceLength = 4;
+		rm.loadText(sample);
+
+		for (i = 0; i < 2; i++) {
+
+			json = JSON.stringify(i > 0 ? rm.toCompactJSON() : rm);
+			ok(JSON.parse(json).n === 3);
+
+			copy = RiMarkov.fromJSON(json);
+			equal(copy.getN(), 3);
+			equal(copy.size(), rm.size());
+			equal(copy.sentenceAware(), true);
+			equal(copy.allowDuplicates, false);
+			equal(copy.useSmoothing(), true);
+			equal(copy.minSentenceLength, 4);
+			deepEqual(copy.sentenceStarts, rm.sentenceStarts);
+			deepEqual(copy.sentenceList, rm.sentenceList);
+			equal(copy.root.asTree(), rm.root.asTree());
+			deepEqual(copy.getProbabilities(["I", "did"]), rm.getProbabilities(["I", "did"]));
+			equal(JSON.stringify(i > 0 ? copy.toCompactJSON() : copy), json);
+
+			RiTa.randomSeed(42);
+			var sents = rm.generateSentences(2);
+			RiTa.randomSeed(42);
+			deepEqual(copy.generateSentences(2), sents);
+		}
+
+		ok(JSON.stringify(rm.toCompactJSON()).length < JSON.stringify(rm).length / 2);
+
+		// toJSON() returns an object, so a nested model is serialized once
+		json = JSON.parse(JSON.stringify({ model: rm }));
+		equal(json.model.n, 3);
+		equal(RiMarkov.fromJSON(json.model).size(), rm.size());
+
+		// and the returned object is a copy
+		json = rm.toJSON();
+		json.sentenceList.push("extra");
+		json.sentenceStarts.length = 0;
+		notEqual(rm.sentenceList[rm.sentenceList.length - 1], "extra");
+		ok(rm.sentenceStarts.length > 0);
+
+		rm = new RiMarkov(2, false); // keeps end-of-input (null) tokens
+		rm.loadTokens(["a", "b", "null", "a", "c"]);
+		copy = RiMarkov.fromJSON(rm.toCompactJSON());
+		equal(copy.root.lookup("c").childNodes()[0].token, null);
+		equal(copy.root.lookup("b").childNodes()[0].token, "null");
+		deepEqual(RiMarkov.fromJSON(rm.toJSON()).toJSON(), rm.toJSON());
+
+		throws(function() { RiMarkov.fromJSON('{"root": {}}'); });
+	});
+
+	test("RiMarkov.generate(constrained)", function() {
+
+		var i, toks, sents, rm = new RiMarkov(3);
+		rm.loadText(sample);
+
+		for (i = 0; i < 5; i++) {
+
+			toks = rm.generateTokens(8, { seed: "I did" });
+			equal(toks.length, 8);
+			deepEqual(toks.slice(0, 2), ["I", "did"]);
+
+			toks = rm.generateTokens(6, { seed: ["I"], endsWith: "date" });
+			equal(toks.length, 6);
+			equal(toks[0], "I");
+			equal(toks[5], "date");
+
+			toks = rm.generateTokens(10, { contains: ["party", "friends"] });
+			equal(toks.length, 10);
+			ok(toks.indexOf("party") > -1 && toks.indexOf("friends") > -1);
+		}
+
+		toks = rm.generateTokens(4, { seed: "I did not", endsWith: ["not", "want"] });
+		deepEqual(toks, ["I", "did", "not", "want"]);
+
+		sents = rm.generateSentences(2, { seed: "I did" });
+		equal(sents.length, 2);
+		for (i = 0; i < sents.length; i++)
+			ok(/^I did .*[.!?]$/.test(sents[i]), sents[i]);
+
+		sents = rm.generateSentences(1, { seed: "He", endsWith: "date", contains: "party" });
+		equal(sents.length, 1);
+		ok(/^He .*party.* date\.$/.test(sents[0]), sents[0]);
+
+		// long sequences are searched without recursion
+		toks = rm.generateTokens(20000, { seed: "I", endsWith: "." });
+		equal(toks.length, 20000);
+		ok(toks[0] === "I" && toks[19999] === ".");
+
+		throws(function() { rm.generateTokens(5, { seed: "no such seed" }); });
+		throws(function() { rm.generateTokens(5, { seed: "I did", endsWith: "zebra" }); });
+		throws(function() { rm.generateTokens(3, { seed: "I", contains: ["party", "date", "power"] }); });
+
+		rm = new RiMarkov(3);
+		rm.useSmoothing(true);
+		rm.loadText(sample);
+		toks = rm.generateTokens(6, { seed: "no such", endsWith: "date" }); // backs off
+		deepEqual(toks.slice(0, 2), ["no", "such"]);
+		equal(toks[5], "date");
+	});
+
+	test("RiMarkov.temperature/topK/topP", function() {
+
+		var i, j, toks, rm = new RiMarkov(2, false);
+		rm.loadTokens(RiTa.tokenize("a b a b a b a c a d"));
+
+		equal(rm.temperature, 1);
+		equal(rm.topK, 0);
+		equal(rm.topP, 1);
+
+		rm.temperature = 0; // always the likeliest
+		for (i = 0; i < 5; i++) {
+			toks = rm.generateTokens(6);
+			for (j = 0; j < toks.length; j++)
+				equal(toks[j], j % 2 ? "b" : "a");
+		}
+
+		rm.temperature = 1;
+		rm.topK = 1;
+		deepEqual(rm.generateTokens(4), ["a", "b", "a", "b"]);
+
+		rm.topK = 0;
+		rm.topP = .5; // 'b' alone is 3/5 of what follows 'a'
+		deepEqual(rm.generateTokens(4), ["a", "b", "a", "b"]);
+
+		rm.topP = .7;
+		deepEqual(rm._shape({ b: .6, c: .2, d: .2 }), { b: .6, c: .2 });
+
+		rm.topP = 1;
+		rm.temperature = .5;
+		var shaped = rm._shape({ b: .6, c: .2, d: .2 });
+		ok(Math.abs(shaped.b - .36) < 1e-9 && Math.abs(shaped.c - .04) < 1e-9);
+
+		rm.temperature = 100; // nearly uniform
+		shaped = rm._shape({ b: .6, c: .2, d: .2 });
+		ok(shaped.b / shaped.c < 1.02);
+
+		rm.temperature = -1;
+		throws(function() { rm.generateTokens(4); });
+
+		rm = new RiMarkov(3);
+		rm.loadText(sample);
+		rm.temperature = .5;
+		rm.topK = 3;
+		RiTa.randomSeed(1);
+		var sents = rm.generateSentences(2);
+		equal(sents.length, 2);
+
+		var copy = RiMarkov.fromJSON(rm.toJSON());
+		equal(copy.temperature, .5);
+		equal(copy.topK, 3);
+	});
+
+	test("RiMarkov.useCharacters()", function() {
+
+		var i, words, names = "Alice Amelia Abigail Alexander Bob Carol Charlotte David Daniel Emily " +
+			"Ethan Grace Harper Henry Isabella Jacob Lucas Madison Mason Michael Oliver Olivia Sophia";
+
+		var rm = new RiMarkov(3);
+		equal(rm.useCharacters(), false);
+		equal(rm.useCharacters(true), rm);
+		equal(rm.useCharacters(), true);
+		equal(rm.sentenceAware(), false);
+
+		rm.loadText("ab, abc");
+		equal(rm.size(), 8); // ' ab abc '
+		deepEqual(rm.getProbabilities(["a", "b"]), { " ": .5, "c": .5 });
+		equal(rm.getProbability(["c", " "]), 1);
+		throws(function() { rm.generateSentences(1); });
+
+		rm = new RiMarkov(3, true, false); // no duplicates of the loaded words
+		rm.useCharacters(true);
+		rm.loadText(names);
+
+		RiTa.randomSeed(17);
+		words = rm.generateWords(10, 4, 7);
+		equal(words.length, 10);
+		for (i = 0; i < words.length; i++) {
+
+			ok(/^[A-Z][a-z]{3,6}$/.test(words[i]), words[i]);
+			ok(names.split(" ").indexOf(words[i]) < 0, words[i]);
+			equal(words.indexOf(words[i]), i);
+		}
+
+		deepEqual(rm.wordList, names.split(" ")); // kept apart from the sentences
+		deepEqual(rm.sentenceList, []);
+
+		var copy = RiMarkov.fromJSON(rm.toCompactJSON());
+		equal(copy.useCharacters(), true);
+		RiTa.randomSeed(17);
+		deepEqual(copy.generateWords(10, 4, 7), words);
+
+		// turning it off restores the earlier mode
+		equal(copy.useCharacters(false).useCharacters(), false);
+		equal(copy.sentenceAware(), true);
+		equal(new RiMarkov(3, false).useCharacters(true).useCharacters(false).sentenceAware(), false);
+		equal(new RiMarkov(3).useCharacters(true).useCharacters(true).useCharacters(false).sentenceAware(), true);
+
+		throws(function() { new RiMarkov(3).generateWords(1); });
+	});
+
+	test("RiMarkov.maxLengthMatch", function() {
+
+		var i, sents, source = RiTa.tokenize(sample), rm = new RiMarkov(2);
+
+		function copies(sent) { // any run of 5 tokens from the input?
+			var j, k, toks = RiTa.tokenize(sent);
+			for (j = 0; j + 4 < toks.length; j++) {
+				for (k = 0; k + 4 < source.length; k++) {
+					if (source.slice(k, k + 5).join(" ") === toks.slice(j, j + 5).join(" "))
+						return true;
+				}
+			}
+			return false;
+		}
+		equal(rm.maxLengthMatch, 0);
+		rm.loadText(sample);
+		deepEqual(rm._sources[RiMarkov.DEFAULT_SOURCE].input, []); // only kept when needed
+
+		rm = new RiMarkov(2);
+		rm.maxLengthMatch = 4; // set before loading
+		rm.loadText(sample);
+		equal(rm._sources[RiMarkov.DEFAULT_SOURCE].input.length, source.length);
+
+		RiTa.randomSeed(5);
+		sents = rm.generateSentences(3);
+		equal(sents.length, 3);
+
+		for (i = 0; i < sents.length; i++)
+			ok(!copies(sents[i]), sents[i]);
+
+		ok(rm._copiesSource(["One", "reason", "people", "lie", "is"]));
+		ok(rm._copiesSource(["My", "One", "reason", "people", "lie", "is"]));
+		ok(!rm._copiesSource(["One", "reason", "people", "lie"]));
+		ok(!rm._copiesSource(["reason", "people", "lie", "is", "helpful"]));
+
+		RiTa.randomSeed(5);
+		sents = rm.generateSentences(2, { seed: "I" });
+		equal(sents.length, 2);
+		for (i = 0; i < sents.length; i++)
+			ok(!copies(sents[i]) && /^I /.test(sents[i]), sents[i]);
+
+		// the input is not serialized, but text loaded into the copy is checked
+		ok(JSON.stringify(rm).indexOf('"input"') < 0);
+		ok(JSON.stringify(rm.toCompactJSON()).indexOf('"input"') < 0);
+
+		var copy = RiMarkov.fromJSON(rm.toCompactJSON()), tmp = RiTa.SILENT;
+		equal(copy.maxLengthMatch, 4);
+		copy.loadText("The dog ran home to the park today.", 1, null, "dogs");
+		RiTa.SILENT = true;
+		ok(!copy._copiesSource(["One", "reason", "people", "lie", "is"]));
+		ok(copy._copiesSource(["dog", "ran", "home", "to", "the"]));
+		RiTa.SILENT = tmp;
+
+		rm.maxLengthMatch = 1;
+		throws(function() { rm.generateSentences(1); });
+	});
+
+	test("RiMarkov.loadText(multiplier)", function() {
+
+		var dogs = "The dog ran home. The dog ate food. The cat sat down.",
+			birds = "The cat ran away. A bird sang loudly. The bird ate seeds.";
+
+		var rm = new RiMarkov(3), once = new RiMarkov(3);
+		rm.loadText(dogs, 2);
+		once.loadText(dogs);
+		equal(rm.root.lookup("The").count, 2 * once.root.lookup("The").count);
+		deepEqual(rm.getProbabilities(["The"]), once.getProbabilities(["The"]));
+
+		rm = new RiMarkov(3);
+		rm.loadText(dogs, 2.5);
+		rm.loadText(birds, 0.3); // The->cat: 2.5 + 0.3 of 5 + 2.8 + 0.3
+		ok(Math.abs(rm.getProbability(["The", "cat"]) - 2.8 / 8.1) < 1e-9);
+		ok(Math.abs(rm.getProbability(["The", "bird"]) - 0.3 / 8.1) < 1e-9);
+		equal(rm.size(), 30);
+
+		var copy = RiMarkov.fromJSON(rm.toCompactJSON());
+		equal(copy.getProbability(["The", "cat"]), rm.getProbability(["The", "cat"]));
+
+		rm = new RiMarkov(2, false);
+		rm.loadTokens(["a", "b", "a", "c"], 0.5);
+		rm.loadTokens(["a", "c"], 1.5);
+		deepEqual(rm.getProbabilities("a"), { b: 0.2, c: 0.8 });
+
+		throws(function() { rm.loadText(dogs, -1); });
+		throws(function() { rm.loadTokens(["a"], "2"); });
+	});
+
+	test("RiMarkov.loadChunk()", function() {
+
+		var i, j, rm, whole, sizes = [1, 9, 64];
+
+		var models = [ // [n, sentence-aware, character-level]
+			[3, true, false], [2, false, false], [4, false, true]
+		];
+
+		var create = function(m) {
+
+			var rm = new RiMarkov(m[0], m[1]);
+			return m[2] ? rm.useCharacters(true) : rm;
+		};
+
+		for (i = 0; i < models.length; i++) {
+
+			whole = create(models[i]).loadText(sample);
+
+			for (j = 0; j < sizes.length; j++) {
+
+				rm = create(models[i]);
+				for (var k = 0; k < sample.length; k += sizes[j])
+					rm.loadChunk(sample.substring(k, k + sizes[j]));
+
+				ok(rm.size() < whole.size()); // the end is still buffered
+				equal(rm.endChunks(), rm);
+
+				equal(rm.size(), whole.size());
+				equal(rm.root.asTree(), whole.root.asTree());
+				deepEqual(rm.sentenceStarts, whole.sentenceStarts);
+				ok(JSON.stringify(rm) === JSON.stringify(whole));
+			}
+		}
+
+		rm = new RiMarkov(3); // sentences split across chunks, and lines
+		rm.loadChunk("The dog ran ho");
+		rm.loadChunk("me.\nThe cat");
+		equal(rm.root.lookup("The").count, 1);
+		equal(rm.loadChunk(" ran away."), rm);
+		rm.endChunks();
+		equal(rm.root.lookup("The").count, 2);
+		equal(rm.getProbability(["ran", "home"]), 0.5);
+		deepEqual(rm.sentenceStarts, ["The", "The"]);
+	});
+
+	asyncTest("RiMarkov.loadStream()", function() {
+
+		if (RiTa.env() != RiTa.NODE) {
+			ok("Only for Node");
+			start();
+			return;
+		}
+
+		var fs = require('fs'), file = 'test/data/kafka.txt', updates = [], rm = new RiMarkov(3),
+			whole = new RiMarkov(3).loadText(fs.readFileSync(file, 'utf8').replace(/[\r\n]+/g, ' '));
+
+		rm.loadStream(fs.createReadStream(file, { highWaterMark: 8192 }), 1, null, "kafka", function(model, e) {
+
+			ok(model === rm);
+			equal(e, undefined);
+			equal(rm.size(), whole.size());
+			ok(rm.root.asTree() === whole.root.asTree());
+			deepEqual(rm.getSourceNames(), ["kafka"]);
+
+			ok(updates.length > 10);
+			for (var i = 1; i < updates.length; i++)
+				ok(updates[i][0] > updates[i - 1][0] && updates[i][1] >= updates[i - 1][1]);
+
+			streams();
+
+		}, function(chars, size) { updates.push([chars, size]); });
+
+		// streams loading at the same time keep their text apart
+		var streams = function() {
+
+			var PassThrough = require('stream').PassThrough, dogs = new PassThrough(), cats = new PassThrough(),
+				ended = 0, pets = new RiMarkov(3), done = function(model, e) {
+
+					equal(e, undefined);
+					if (++ended < 2) return;
+
+					deepEqual(pets.getSources(["The", "dog"]), { dogs: 1 });
+					deepEqual(pets.getSources(["The", "cat"]), { cats: 1 });
+					deepEqual(pets.sentenceStarts, ["The", "The", "The", "The"]);
+					failed();
+				};
+
+			pets.loadStream(dogs, 1, null, "dogs", done);
+			pets.loadStream(cats, 1, null, "cats", done);
+			dogs.write("The dog ran ho");
+			cats.write("The cat sat do");
+			dogs.end("me. The dog ate food.");
+			cats.end("wn. The cat ran away.");
+		};
+
+		// a read error goes to the callback, leaving the model (and any loadChunk() text) ready for more
+		var failed = function() {
+
+			rm.loadChunk("An unfinished sentence");
+			rm.loadStream(fs.createReadStream('test/data/missing.txt'), 1, null, null, function(model, e) {
+
+				ok(model === rm);
+				ok(e instanceof Error, String(e));
+				equal(rm.size(), whole.size());
+
+				rm.loadChunk(" is finished.").endChunks();
+				ok(rm.size() > whole.size());
+				ok(rm.sentenceStarts.indexOf("An") > -1);
+				start();
+			});
+		};
+	});
+
+	test("RiMarkov.getSources()", function() {
+
+		var dogs = "The dog ran home. The dog ate food. The cat sat down.",
+			birds = "The cat ran away. A bird sang loudly. The bird ate seeds.";
+
+		var rm = new RiMarkov(3);
+		rm.loadText(dogs, 1, null, "dogs");
+		rm.loadText(birds, 1, null, "birds");
+
+		deepEqual(rm.getSourceNames(), ["dogs", "birds"]);
+		deepEqual(rm.getSources(["The", "cat"]), { dogs: 0.5, birds: 0.5 });
+		deepEqual(rm.getSources(["The", "dog", "ran"]), { dogs: 1 });
+		deepEqual(rm.getSources("bird"), { birds: 1 });
+		deepEqual(rm.getSources(["The", "cow"]), {});
+
+		rm = new RiMarkov(2);
+		rm.loadText(dogs);
+		rm.loadText(birds, 1, null, "birds");
+		deepEqual(rm.getSourceNames(), [RiMarkov.DEFAULT_SOURCE, "birds"]);
+		deepEqual(rm.getSources(["The", "cat"]), { "default": 0.5, birds: 0.5 });
+
+		for (var i = 0; i < 2; i++) {
+
+			var copy = RiMarkov.fromJSON(i > 0 ? rm.toCompactJSON() : rm.toJSON());
+			deepEqual(copy.getSourceNames(), rm.getSourceNames());
+			deepEqual(copy.getSources(["The", "cat"]), rm.getSources(["The", "cat"]));
+		}
+	});
+
+	test("RiMarkov.reweight/unload", function() {
+
+		var dogs = "The dog ran home. The dog ate food. The cat sat down.",
+			birds = "The cat ran away. A bird sang loudly. The bird ate seeds.";
+
+		var rm = new RiMarkov(3), only = new RiMarkov(3);
+		rm.loadText(dogs, 1, null, "dogs");
+		rm.loadText(birds, 1, null, "birds");
+		only.loadText(dogs, 1, null, "dogs");
+
+		equal(rm.getProbability(["The", "cat"]), 2 / 5);
+
+		rm.reweight("birds", 3); // The->cat: 1 + 3 of 3 + 6
+		equal(rm.getProbability(["The", "cat"]), 4 / 9);
+		deepEqual(rm.getSources(["The", "cat"]), { dogs: 0.25, birds: 0.75 });
+		equal(rm.size(), 30);
+
+		var copy = RiMarkov.fromJSON(rm.toCompactJSON());
+		copy.reweight("birds", 1 / 3);
+		ok(Math.abs(copy.getProbability(["The", "cat"]) - 2 / 5) < 1e-9);
+
+		rm.unload("birds");
+		deepEqual(rm.getSourceNames(), ["dogs"]);
+		equal(rm.size(), only.size());
+		equal(rm.root.asTree(), only.root.asTree());
+		deepEqual(rm.sentenceStarts, only.sentenceStarts);
+		deepEqual(rm.getSources(["The", "cat"]), { dogs: 1 });
+		equal(rm.getProbability(["A", "bird"]), 0);
+
+		rm = new RiMarkov(2);
+		rm.loadText(dogs);
+		rm.loadText(birds, 1, null, "birds");
+		rm.unload(RiMarkov.DEFAULT_SOURCE);
+		deepEqual(rm.getSources(["The", "cat"]), { birds: 1 });
+		deepEqual(rm.sentenceStarts.sort(), ["A", "The", "The"]);
+
+		// without duplicates, the source's sentences leave the sentenceList
+		rm = new RiMarkov(3, true, false);
+		rm.loadText(dogs, 1, null, "dogs");
+		rm.loadText(birds, 1, null, "birds");
+		equal(rm.sentenceList.length, 6);
+
+		var copy = RiMarkov.fromJSON(JSON.stringify(rm));
+		rm.unload("birds");
+		copy.unload("birds");
+		deepEqual(rm.sentenceList, RiTa.splitSentences(dogs));
+		deepEqual(copy.sentenceList, rm.sentenceList);
+
+		// a missing sentence-start removes no other
+		rm.loadText(birds, 1, null, "birds");
+		rm.sentenceStarts.splice(rm.sentenceStarts.indexOf("A"), 1);
+		rm.unload("birds");
+		deepEqual(rm.sentenceStarts, ["The", "The", "The"]);
+
+		throws(function() { rm.unload("cats"); });
+		throws(function() { rm.reweight("dogs", 0); });
+	});
+
+	test("RiMarkov.merge()", function() {
+
+		var dogs = "The dog ran home. The dog ate food. The cat sat down.",
+			birds = "The cat ran away. A bird sang loudly. The bird ate seeds.";
+
+		var rm = new RiMarkov(3), other = new RiMarkov(3), both = new RiMarkov(3);
+		rm.loadText(dogs, 1, null, "dogs");
+		other.loadText(birds, 1, null, "birds");
+		both.loadText(dogs, 1, null, "dogs");
+		both.loadText(birds, 1, null, "birds");
+
+		equal(rm.merge(other), rm);
+		equal(rm.size(), both.size());
+		equal(rm.root.asTree(), both.root.asTree());
+		deepEqual(rm.sentenceStarts, both.sentenceStarts);
+		deepEqual(rm.getSources(["The", "cat"]), both.getSources(["The", "cat"]));
+		ok(JSON.stringify(rm.toCompactJSON()) === JSON.stringify(both.toCompactJSON()));
+
+		rm.unload("birds");
+		equal(rm.getProbability(["A", "bird"]), 0);
+		equal(other.getProbability(["A", "bird"]), 1);
+
+		rm = new RiMarkov(3, true, false); // merged sentences are unloaded with their source
+		other = new RiMarkov(3, true, false);
+		rm.loadText(dogs, 1, null, "dogs");
+		other.loadText(birds, 1, null, "birds");
+		rm.merge(other);
+		deepEqual(rm.sentenceList, RiTa.splitSentences(dogs + " " + birds));
+		rm.unload("birds");
+		deepEqual(rm.sentenceList, RiTa.splitSentences(dogs));
+		equal(other.sentenceList.length, 3);
+
+		throws(function() { rm.merge(new RiMarkov(2)); });
+	});
+
 	test("RiMarkov.generateUntil()", function() {
 
 		var rm = new RiMarkov(3);
@@ -511,6 +1134,57 @@ var runtests = function() {
 		equal(rm.size(), tokens.length);
 	});
 
+	test("RiMarkov.score()", function() {
+
+		var res, rm = new RiMarkov(2, false);
+		rm.loadTokens(["a", "b", "a", "c"]);
+
+		// interpolated Kneser-Ney, with D=.75: after "a" (count 2, 2 types), and after "b" (count 1, 1 type)
+		// the lower-order probability is the continuation count of each token (1 for each of a, b, c) / 3,
+		// with end-of-input (after "c") left out, as it is never an outcome
+		var D = RiMarkov.KN_DISCOUNT, afterA = (1 - D) / 2 + (D * 2 / 2) * (1 / 3),
+			afterB = (1 - D) / 1 + (D * 1 / 1) * (1 / 3), expected = [ 2 / 4, afterA, afterB, afterA ];
+
+		res = rm.score(["a", "b", "a", "c"]);
+		deepEqual(res.tokens, ["a", "b", "a", "c"]);
+		equal(res.unknown, 0);
+		for (var i = 0; i < 4; i++)
+			ok(Math.abs(res.probabilities[i] - expected[i]) < 1e-9, res.probabilities[i]);
+		ok(Math.abs(res.logProbability - Math.log(.5 * afterA * afterB * afterA)) < 1e-9);
+		ok(Math.abs(res.perplexity - Math.pow(.5 * afterA * afterB * afterA, -1 / 4)) < 1e-9);
+
+		res = rm.score(["a", "z", "constructor"]); // unknown tokens are left out
+		deepEqual(res.probabilities, [0.5, null, null]);
+		equal(res.unknown, 2);
+		equal(res.logProbability, Math.log(0.5));
+		ok(Math.abs(res.perplexity - 2) < 1e-9);
+		equal(rm.score(["z"]).perplexity, Infinity);
+
+		equal(rm.getPerplexity(["a", "b"]), rm.score(["a", "b"]).perplexity);
+
+		rm = new RiMarkov(3);
+		rm.loadText(sample);
+
+		var seen = "I did not have a girlfriend.", unseen = "The girlfriend had not a date.";
+		deepEqual(rm.score(seen).tokens, RiTa.tokenize(seen));
+		ok(rm.getPerplexity(seen) < rm.getPerplexity(unseen));
+
+		var before = rm.getPerplexity(seen);
+		rm.useSmoothing(true); // the same distribution is used either way
+		equal(rm.getPerplexity(seen), before);
+		equal(rm.score("Gregor Samsa had a date.").unknown, 2);
+		ok(isFinite(rm.getPerplexity("Gregor Samsa had a date.")));
+
+		rm = new RiMarkov(3).useCharacters(true);
+		rm.loadText("anna bella carla donna emma");
+		deepEqual(rm.score("ella").tokens, [" ", "e", "l", "l", "a", " "]);
+		equal(rm.score("ella").unknown, 0);
+		equal(rm.score("xyzzy").unknown, 5);
+		ok(rm.getPerplexity("bella") < rm.getPerplexity("ebbo"));
+
+		throws(function() { rm.score([]); });
+	});
+
 	test("RiMarkov.getCompletions(a)", function() {//TODO:
 
 		var rm = new RiMarkov(4);
@@ -671,16 +1345,64 @@ var runtests = function() {
 		rm.loadTokens(RiTa.tokenize(sample));
 
 		var rm2 = new RiMarkov(3);
-		rm2.useSmoothing(true);
+		equal(rm2.useSmoothing(true), rm2);
+		equal(rm2.useSmoothing(), true);
 		rm2.loadTokens(RiTa.tokenize(sample));
-		notEqual(rm2.getProbability("one"), rm.getProbability("one"));
 
-		var p1 = rm.getProbability("personal");
-		var p2 = rm2.getProbability("personal");
-		// console.log(p1 + " ?= "+p2);
-		notEqual(p1, p2);
+		// unigrams are unchanged, longer sequences are discounted
+		equal(rm2.getProbability("one"), rm.getProbability("one"));
+		ok(rm2.getProbability(["achieve", "personal", "power"]) < rm.getProbability(["achieve", "personal", "power"]));
+		ok(rm2.getProbability(["achieve", "personal", "power"]) > 0.5);
+
+		// unseen sequences back off to shorter contexts
+		equal(rm.getProbability(["personal", "power", "date"]), 0);
+		ok(rm2.getProbability(["personal", "power", "date"]) > 0);
+		ok(rm2.getProbability(["unseen", "words", "date"]) > 0);
+		equal(rm2.getProbability(["personal", "power", "unseen"]), 0);
+		deepEqual(rm.getProbabilities(["unseen", "words"]), {});
+
+		var i, sum, probs, paths = [[], ["personal"], ["my", "date"], ["unseen", "words"], ["a", "date", "unseen"]];
+		for (i = 0; i < paths.length; i++) {
+
+			sum = 0;
+			probs = rm2.getProbabilities(paths[i]);
+			for (var tok in probs) sum += probs[tok];
+			ok(Object.keys(probs).length > 50);
+			ok(Math.abs(sum - 1) < .01, "sum=" + sum);
+		}
+
+		// also in token mode, where end-of-input (after the last token) is not an outcome
+		var rm3 = new RiMarkov(3, false).useSmoothing(true);
+		rm3.loadText("The cat sat on the mat today.");
+		paths = [[], ["mat", "today"], ["today"], ["today", "."], ["."], ["unseen"]];
+		for (i = 0; i < paths.length; i++) {
+
+			sum = 0;
+			probs = rm3.getProbabilities(paths[i]);
+			for (var tok in probs) sum += probs[tok];
+			ok(Math.abs(sum - 1) < 1e-9, paths[i] + ": sum=" + sum);
+		}
+	});
+
+	test("RiMarkov.generateTokens(smoothed)", function() {
+
+		var rm = new RiMarkov(4); // too sparse to generate without smoothing
+		rm.loadTokens(RiTa.tokenize("The dog ate. The cat slept."));
+		throws(function() { rm.generateTokens(20); });
+
+		rm = new RiMarkov(4);
+		rm.useSmoothing(true);
+		rm.loadTokens(RiTa.tokenize("The dog ate. The cat slept."));
+
+		var toks = rm.generateTokens(20);
+		equal(toks.length, 20);
+		for (var i = 0; i < toks.length; i++)
+			ok(/^(The|dog|ate|cat|slept|\.)$/.test(toks[i]));
 
-		// more tests?? yes
+		RiTa.randomSeed(7);
+		toks = rm.generateTokens(10);
+		RiTa.randomSeed(7);
+		deepEqual(rm.generateTokens(10), toks);
 	});
 
 	test("RiMarkov.sentenceAware()", function() {
@@ -152,6 +152,36 @@ var runtests = function () {
 
 
 
+	test("RiTa.randomSeed()", function() {
+
+		var a = [], b = [];
+
+		RiTa.randomSeed(42);
+		for (var i = 0; i < 10; i++)
+			a.push(RiTa.random());
+		a.push(RiTa.randomItem(['a','b','c','d','e','f']));
+		a.push(RiTa.randomOrdering(10).join());
+
+		RiTa.randomSeed(42);
+		for (var i = 0; i < 10; i++)
+			b.push(RiTa.random());
+		b.push(RiTa.randomItem(['a','b','c','d','e','f']));
+		b.push(RiTa.randomOrdering(10).join());
+
+		deepEqual(a, b);
+
+		RiTa.randomSeed(43);
+		notEqual(RiTa.random(), a[0]);
+
+		for (var i = 0; i < 100; i++) {
+			var r = RiTa.random();
+			ok(r >= 0 && r < 1, r);
+		}
+
+		throws(function() { RiTa.randomSeed('42'); });
+		throws(function() { RiTa.randomSeed(); });
+	});
+
 	test("RiTa.randomOrdering()", function() {
 
 		var result = RiTa.randomOrdering(5);